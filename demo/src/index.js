@@ -1,9 +1,12 @@
 import React, { Component } from 'react';
 import { render } from 'react-dom';
 
-import CanvasDraw from '../../src';
+import CanvasDraw, { LocalTransport } from '../../src';
 import classNames from './index.css';
 import silhouetteImage from './001.png';
+// Open the demo in two tabs to draw together
+const transport = new LocalTransport('demo');
+
 class Demo extends Component {
 	state = {
 		color: '#ffc600',
@@ -19,6 +22,7 @@ class Demo extends Component {
 		],
 		trueMouseDown: false,
 		tool: 'Pencil',
+		brush: 'marker',
 	};
 
 	componentDidMount() {
@@ -76,6 +80,27 @@ class Demo extends Component {
 				>
 					Rect
 				</button>
+				<button
+					onClick={() => {
+						this.setState({ tool: 'Arrow', color: '#ffc600' });
+					}}
+				>
+					Arrow
+				</button>
+				<button
+					onClick={() => {
+						this.setState({ tool: 'Polygon', color: '#ffc600' });
+					}}
+				>
+					Polygon
+				</button>
+				<button
+					onClick={() => {
+						this.setState({ tool: 'Text', color: '#ffc600' });
+					}}
+				>
+					Text
+				</button>
 				<button
 					onClick={() => {
 						this.setState({ tool: 'Pencil', color: '#000000' });
@@ -83,6 +108,15 @@ class Demo extends Component {
 				>
 					Pencil
 				</button>
+				<select
+					value={this.state.brush}
+					onChange={(e) => this.setState({ brush: e.target.value })}
+				>
+					<option value="marker">Marker</option>
+					<option value="highlighter">Highlighter</option>
+					<option value="airbrush">Airbrush</option>
+					<option value="calligraphy">Calligraphy</option>
+				</select>
 				<button
 					onClick={() => {
 						this.setState({ tool: 'Eraser' });
@@ -97,6 +131,20 @@ class Demo extends Component {
 				>
 					Fill
 				</button>
+				<button
+					onClick={() => {
+						this.setState({ tool: 'Select' });
+					}}
+				>
+					Select
+				</button>
+				<button
+					onClick={() => {
+						this.saveableCanvas.addLayer();
+					}}
+				>
+					New layer
+				</button>
 				<button
 					onClick={() => {
 						this.saveableCanvas.undo();
@@ -104,6 +152,22 @@ class Demo extends Component {
 				>
 					undo
 				</button>
+				<button
+					onClick={() => {
+						this.saveableCanvas.redo();
+					}}
+				>
+					redo
+				</button>
+				<button
+					onClick={() => {
+						this.saveableCanvas
+							.exportAnimation({ format: 'gif', size: { width: 300 } })
+							.then((blob) => window.open(URL.createObjectURL(blob)));
+					}}
+				>
+					Export GIF
+				</button>
 				<h1>React Canvas Draw</h1>
 				<iframe
 					title="GitHub link"
@@ -124,6 +188,14 @@ class Demo extends Component {
 					trueMouseDown={this.state.trueMouseDown}
 					onChange={() => console.log('onChange')}
 					tool={this.state.tool}
+					brush={this.state.brush}
+					brushRadius={this.state.brushRadius}
+					keyboardShortcuts
+					transport={transport}
+					presenceName="Demo"
+					keyMap={{ e: { tool: 'Eraser' }, p: { tool: 'Pencil' } }}
+					onToolChange={(tool) => this.setState({ tool })}
+					onBrushRadiusChange={(brushRadius) => this.setState({ brushRadius })}
 					fillShape={false}
 					hideGrid={true}
 					brushColor={this.state.color}
@@ -1,43 +1,13 @@
-export function getColorAtPixel(imageData, x, y) {
-	const { width, data } = imageData;
+import pixelOperations from './pixelOperations';
 
-	const startPos = 4 * (y * width + x);
-    console.log(data[startPos])
-	if (data[startPos + 3] === undefined) {
-		console.log('XYE ', x, y);
-		console.log('WIDTH ' + width);
-		throw new Error('Invalid pixel coordinates: x=' + x + '; y=' + y);
-	}
-	return {
-		r: data[startPos],
-		g: data[startPos + 1],
-		b: data[startPos + 2],
-		a: data[startPos + 3],
-	};
-}
-
-export function setColorAtPixel(imageData, color, x, y) {
-	const { width, data } = imageData;
-	const startPos = 4 * (y * width + x);
-	if (data[startPos + 3] === undefined) {
-		throw new Error(
-			'Invalid pixel coordinates. Cannot set color at: x=' + x + '; y=' + y
-		);
-	}
-	data[startPos + 0] = color.r & 0xff;
-	data[startPos + 1] = color.g & 0xff;
-	data[startPos + 2] = color.b & 0xff;
-	data[startPos + 3] = color.a & 0xff;
-}
-
-export function isSameColor(a, b, tolerance = 0) {
-	return !(
-		Math.abs(a.r - b.r) > tolerance ||
-		Math.abs(a.g - b.g) > tolerance ||
-		Math.abs(a.b - b.b) > tolerance ||
-		Math.abs(a.a - b.a) > tolerance
-	);
-}
+export const {
+	getColorAtPixel,
+	setColorAtPixel,
+	isSameColor,
+	maskToSpans,
+	outlineMask,
+	dilateMask,
+} = pixelOperations;
 
 export function hex2RGBA(hex, alpha = 255) {
 	let parsedHex = hex;
@@ -69,7 +39,6 @@ export function hex2RGBA(hex, alpha = 255) {
 }
 
 export function colorToRGBA(color) {
-    console.log(color)
 	if (color.indexOf('rgba') !== -1) {
 		const [_, r, g, b, a] =
 			/rgba\(.*?([0-9]{1,3}).*?([0-9]{1,3}).*?([0-9]{1,3}).*?([0-9\.]{1,})/g.exec(
@@ -0,0 +1,689 @@
+/**
+ * Encoders for animated GIF and APNG images, in plain JavaScript. Frames are
+ * added one at a time as RGBA pixels of the same size (like ImageData's
+ * `data`). Only the rectangle that changed since the previous frame is
+ * stored, and frames without changes just extend the previous one's delay.
+ */
+
+// The lengths of LZW and deflate codes are limited to these
+const MAX_LZW_CODE_SIZE = 12;
+const DEFLATE_WINDOW = 32768;
+const MAX_MATCH_LENGTH = 258;
+const MAX_MATCH_CHAIN = 32;
+
+/**
+ * @returns {Object | null} the smallest rectangle `{ x, y, width, height }`
+ * holding every pixel that differs between the two images, or null if they
+ * are the same.
+ */
+export function changedRegion(previous, data, width, height) {
+	let top = height;
+	let bottom = -1;
+	let left = width;
+	let right = -1;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			if (
+				previous[i] !== data[i] ||
+				previous[i + 1] !== data[i + 1] ||
+				previous[i + 2] !== data[i + 2] ||
+				previous[i + 3] !== data[i + 3]
+			) {
+				top = Math.min(top, y);
+				bottom = y;
+				left = Math.min(left, x);
+				right = Math.max(right, x);
+			}
+		}
+	}
+	if (bottom === -1) return null;
+	return {
+		x: left,
+		y: top,
+		width: right - left + 1,
+		height: bottom - top + 1,
+	};
+}
+
+function cropPixels(data, width, region) {
+	const pixels = new Uint8Array(region.width * region.height * 4);
+	for (let y = 0; y < region.height; y++) {
+		const start = ((region.y + y) * width + region.x) * 4;
+		pixels.set(
+			data.subarray(start, start + region.width * 4),
+			y * region.width * 4
+		);
+	}
+	return pixels;
+}
+
+/**
+ * Collects the changes between frames; subclasses write them with writeFrame.
+ */
+class AnimationEncoder {
+	/**
+	 * @param {Object} parameters
+	 * @param {number} parameters.width the width of the animation in pixels.
+	 * @param {number} parameters.height its height in pixels.
+	 */
+	constructor({ width, height }) {
+		this.width = width;
+		this.height = height;
+		this.previous = null;
+		this.pending = null;
+	}
+
+	/**
+	 * @param {Uint8ClampedArray} data the frame's RGBA pixels, row by row.
+	 * @param {number} delay how long to show the frame, in milliseconds.
+	 */
+	addFrame(data, delay) {
+		const { width, height } = this;
+		if (data.length !== width * height * 4) {
+			throw new Error(
+				`A frame of ${width}x${height} pixels needs ${width * height * 4} bytes!`
+			);
+		}
+		const region = this.previous
+			? changedRegion(this.previous, data, width, height)
+			: { x: 0, y: 0, width, height };
+		if (!region) {
+			this.pending.delay += delay;
+			return;
+		}
+		this.flush();
+		this.pending = { ...region, pixels: cropPixels(data, width, region), delay };
+		this.previous = new Uint8Array(data);
+	}
+
+	flush() {
+		if (this.pending) this.writeFrame(this.pending);
+		this.pending = null;
+	}
+}
+
+///// GIF
+
+/**
+ * Reduces the colors of the pixels to at most the given number by median cut,
+ * on colors with 5 bits per channel.
+ * @returns {number[][]} the palette, as `[r, g, b]` colors.
+ */
+function medianCut(pixels, maxColors) {
+	const counts = new Uint32Array(32768);
+	const sums = new Float64Array(32768 * 3);
+	for (let i = 0; i < pixels.length; i += 4) {
+		if (pixels[i + 3] < 128) continue;
+		const key = colorKey(pixels, i);
+		counts[key]++;
+		sums[key * 3] += pixels[i];
+		sums[key * 3 + 1] += pixels[i + 1];
+		sums[key * 3 + 2] += pixels[i + 2];
+	}
+	const keys = [];
+	counts.forEach((count, key) => count && keys.push(key));
+
+	const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+	const createBox = (boxKeys) => {
+		const ranges = [0, 1, 2].map((c) => {
+			let min = 31;
+			let max = 0;
+			boxKeys.forEach((key) => {
+				min = Math.min(min, channel(key, c));
+				max = Math.max(max, channel(key, c));
+			});
+			return max - min;
+		});
+		return { keys: boxKeys, ranges };
+	};
+	const boxes = keys.length ? [createBox(keys)] : [];
+	while (boxes.length < maxColors) {
+		// Split the box with the widest range of colors along it
+		let widest = null;
+		boxes.forEach(({ ranges }, index) => {
+			ranges.forEach((range, c) => {
+				if (range > 0 && (!widest || range > widest.range)) {
+					widest = { index, c, range };
+				}
+			});
+		});
+		if (!widest) break;
+
+		const box = boxes[widest.index].keys;
+		box.sort((a, b) => channel(a, widest.c) - channel(b, widest.c));
+		const total = box.reduce((sum, key) => sum + counts[key], 0);
+		let split = 1;
+		let below = counts[box[0]];
+		while (
+			split < box.length - 1 &&
+			below + counts[box[split]] <= total / 2
+		) {
+			below += counts[box[split]];
+			split++;
+		}
+		boxes.splice(
+			widest.index,
+			1,
+			createBox(box.slice(0, split)),
+			createBox(box.slice(split))
+		);
+	}
+
+	return boxes.map(({ keys: box }) => {
+		const color = [0, 0, 0];
+		let count = 0;
+		box.forEach((key) => {
+			count += counts[key];
+			for (let c = 0; c < 3; c++) color[c] += sums[key * 3 + c];
+		});
+		return color.map((sum) => Math.round(sum / count));
+	});
+}
+
+function colorKey(pixels, i) {
+	return (
+		((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)
+	);
+}
+
+function rgb(pixels, i) {
+	return (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+}
+
+/**
+ * @returns {Object} `{ palette, indices, hasTransparent }`: the palette of
+ * the pixels (see medianCut, exact if they have few enough colors) and the
+ * palette index of every pixel. Pixels with less than half opacity get the
+ * index after the palette.
+ */
+function quantize(pixels) {
+	const pixelCount = pixels.length / 4;
+	let hasTransparent = false;
+	const exact = new Map();
+	for (let i = 0; i < pixels.length; i += 4) {
+		if (pixels[i + 3] < 128) {
+			hasTransparent = true;
+		} else if (exact.size <= 256 && !exact.has(rgb(pixels, i))) {
+			exact.set(rgb(pixels, i), exact.size);
+		}
+	}
+	const maxColors = hasTransparent ? 255 : 256;
+	const isExact = exact.size <= maxColors;
+	const palette = isExact ? [] : medianCut(pixels, maxColors);
+	exact.forEach((index, color) => {
+		if (isExact) palette[index] = [color >> 16, (color >> 8) & 255, color & 255];
+	});
+
+	const indices = new Uint8Array(pixelCount);
+	const nearest = new Int16Array(32768).fill(-1);
+	for (let p = 0; p < pixelCount; p++) {
+		const i = p * 4;
+		if (pixels[i + 3] < 128) {
+			indices[p] = palette.length;
+		} else if (isExact) {
+			indices[p] = exact.get(rgb(pixels, i));
+		} else {
+			const key = colorKey(pixels, i);
+			if (nearest[key] === -1) nearest[key] = nearestColor(palette, pixels, i);
+			indices[p] = nearest[key];
+		}
+	}
+	return { palette, indices, hasTransparent };
+}
+
+function nearestColor(palette, pixels, i) {
+	let best = 0;
+	let bestDistance = Infinity;
+	palette.forEach(([r, g, b], index) => {
+		const dr = r - pixels[i];
+		const dg = g - pixels[i + 1];
+		const db = b - pixels[i + 2];
+		const distance = dr * dr + dg * dg + db * db;
+		if (distance < bestDistance) {
+			best = index;
+			bestDistance = distance;
+		}
+	});
+	return best;
+}
+
+/**
+ * Compresses palette indices with GIF's variant of LZW.
+ * @returns {number[]} the code stream's bytes.
+ */
+export function lzwEncode(indices, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+	const bytes = [];
+	let buffer = 0;
+	let bufferSize = 0;
+	let codeSize = minCodeSize + 1;
+	let nextCode = endCode + 1;
+	let codes = new Map();
+
+	const write = (code) => {
+		buffer |= code << bufferSize;
+		bufferSize += codeSize;
+		while (bufferSize >= 8) {
+			bytes.push(buffer & 0xff);
+			buffer >>>= 8;
+			bufferSize -= 8;
+		}
+	};
+
+	write(clearCode);
+	let prefix = indices[0];
+	for (let i = 1; i < indices.length; i++) {
+		const index = indices[i];
+		const key = (prefix << 8) | index;
+		const code = codes.get(key);
+		if (code !== undefined) {
+			prefix = code;
+			continue;
+		}
+		write(prefix);
+		if (nextCode === 1 << MAX_LZW_CODE_SIZE) {
+			// The table is full: start over
+			write(clearCode);
+			codes = new Map();
+			codeSize = minCodeSize + 1;
+			nextCode = endCode + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) codeSize++;
+			codes.set(key, nextCode++);
+		}
+		prefix = index;
+	}
+	write(prefix);
+	write(endCode);
+	if (bufferSize > 0) bytes.push(buffer & 0xff);
+	return bytes;
+}
+
+// GIF numbers are little-endian
+function uint16(value) {
+	return [value & 0xff, (value >> 8) & 0xff];
+}
+
+function ascii(text) {
+	return text.split('').map((char) => char.charCodeAt(0));
+}
+
+/**
+ * Encodes an animated GIF that loops forever. Every frame has its own
+ * palette of up to 256 colors; pixels with less than half opacity are
+ * transparent. GIF delays are in hundredths of a second, and most browsers
+ * show frames of less than 20 milliseconds for 100 milliseconds instead.
+ */
+export class GIFEncoder extends AnimationEncoder {
+	constructor(parameters) {
+		super(parameters);
+		this.parts = [
+			new Uint8Array([
+				...ascii('GIF89a'),
+				...uint16(this.width),
+				...uint16(this.height),
+				// No global palette, background color and aspect ratio
+				0,
+				0,
+				0,
+				// Loop forever
+				0x21,
+				0xff,
+				0x0b,
+				...ascii('NETSCAPE2.0'),
+				0x03,
+				0x01,
+				...uint16(0),
+				0x00,
+			]),
+		];
+	}
+
+	writeFrame({ x, y, width, height, pixels, delay }) {
+		const { palette, indices, hasTransparent } = quantize(pixels);
+		// The palette size is a power of two, of at least 2 colors
+		let bits = 1;
+		while (1 << bits < palette.length + (hasTransparent ? 1 : 0)) bits++;
+		const colorTable = new Uint8Array(3 << bits);
+		palette.forEach((color, index) => colorTable.set(color, index * 3));
+
+		const minCodeSize = Math.max(2, bits);
+		const data = lzwEncode(indices, minCodeSize);
+		const blocks = [];
+		for (let i = 0; i < data.length; i += 255) {
+			const block = data.slice(i, i + 255);
+			blocks.push(block.length, ...block);
+		}
+
+		this.parts.push(
+			new Uint8Array([
+				// Graphic control: keep the previous frame underneath
+				0x21,
+				0xf9,
+				0x04,
+				(1 << 2) | (hasTransparent ? 1 : 0),
+				...uint16(Math.min(Math.round(delay / 10), 0xffff)),
+				hasTransparent ? palette.length : 0,
+				0x00,
+				// Image descriptor with a local palette
+				0x2c,
+				...uint16(x),
+				...uint16(y),
+				...uint16(width),
+				...uint16(height),
+				0x80 | (bits - 1),
+			]),
+			colorTable,
+			new Uint8Array([minCodeSize, ...blocks, 0x00])
+		);
+	}
+
+	/**
+	 * @returns {Uint8Array} the GIF file.
+	 */
+	finish() {
+		this.flush();
+		return concatBytes([...this.parts, new Uint8Array([0x3b])]);
+	}
+}
+
+///// APNG
+
+const CRC_TABLE = (() => {
+	const table = new Int32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		}
+		table[n] = c;
+	}
+	return table;
+})();
+
+function crc32(bytes) {
+	let crc = -1;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ -1) >>> 0;
+}
+
+function adler32(bytes) {
+	let a = 1;
+	let b = 0;
+	for (let i = 0; i < bytes.length; i++) {
+		a = (a + bytes[i]) % 65521;
+		b = (b + a) % 65521;
+	}
+	return ((b << 16) | a) >>> 0;
+}
+
+function concatBytes(parts) {
+	const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+	let offset = 0;
+	parts.forEach((part) => {
+		bytes.set(part, offset);
+		offset += part.length;
+	});
+	return bytes;
+}
+
+const LENGTH_BASES = [
+	3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+	83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA_BITS = [
+	0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+	5, 5, 0,
+];
+const DISTANCE_BASES = [
+	1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513,
+	769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA_BITS = [
+	0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+	11, 12, 12, 13, 13,
+];
+
+function codeIndex(bases, value) {
+	let index = bases.length - 1;
+	while (bases[index] > value) index--;
+	return index;
+}
+
+/**
+ * Compresses the bytes into a zlib stream, as PNG image data: one deflate
+ * block with the fixed Huffman codes and LZ77 matches found by hash chains.
+ * @returns {Uint8Array} the zlib stream.
+ */
+export function deflate(bytes) {
+	const out = [0x78, 0x01];
+	let buffer = 0;
+	let bufferSize = 0;
+	const writeBits = (value, count) => {
+		buffer |= value << bufferSize;
+		bufferSize += count;
+		while (bufferSize >= 8) {
+			out.push(buffer & 0xff);
+			buffer >>>= 8;
+			bufferSize -= 8;
+		}
+	};
+	// Huffman codes are written starting with their most significant bit
+	const writeCode = (code, length) => {
+		let reversed = 0;
+		for (let i = 0; i < length; i++) {
+			reversed = (reversed << 1) | ((code >> i) & 1);
+		}
+		writeBits(reversed, length);
+	};
+	const writeSymbol = (symbol) => {
+		if (symbol < 144) writeCode(0x30 + symbol, 8);
+		else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+		else if (symbol < 280) writeCode(symbol - 256, 7);
+		else writeCode(0xc0 + symbol - 280, 8);
+	};
+
+	// The last block, with fixed codes
+	writeBits(1, 1);
+	writeBits(1, 2);
+
+	const hashSize = 1 << 15;
+	const head = new Int32Array(hashSize).fill(-1);
+	const previous = new Int32Array(DEFLATE_WINDOW);
+	const hash = (i) =>
+		((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (hashSize - 1);
+	const insert = (i) => {
+		if (i + 2 >= bytes.length) return;
+		const h = hash(i);
+		previous[i % DEFLATE_WINDOW] = head[h];
+		head[h] = i;
+	};
+
+	let i = 0;
+	while (i < bytes.length) {
+		let bestLength = 0;
+		let bestDistance = 0;
+		if (i + 2 < bytes.length) {
+			const maxLength = Math.min(MAX_MATCH_LENGTH, bytes.length - i);
+			let candidate = head[hash(i)];
+			for (let chain = 0; chain < MAX_MATCH_CHAIN && candidate >= 0; chain++) {
+				if (i - candidate > DEFLATE_WINDOW - 1) break;
+				let length = 0;
+				while (
+					length < maxLength &&
+					bytes[candidate + length] === bytes[i + length]
+				) {
+					length++;
+				}
+				if (length > bestLength) {
+					bestLength = length;
+					bestDistance = i - candidate;
+					if (length === maxLength) break;
+				}
+				candidate = previous[candidate % DEFLATE_WINDOW];
+			}
+		}
+
+		if (bestLength >= 3) {
+			const lengthIndex = codeIndex(LENGTH_BASES, bestLength);
+			writeSymbol(257 + lengthIndex);
+			writeBits(
+				bestLength - LENGTH_BASES[lengthIndex],
+				LENGTH_EXTRA_BITS[lengthIndex]
+			);
+			const distanceIndex = codeIndex(DISTANCE_BASES, bestDistance);
+			writeCode(distanceIndex, 5);
+			writeBits(
+				bestDistance - DISTANCE_BASES[distanceIndex],
+				DISTANCE_EXTRA_BITS[distanceIndex]
+			);
+			for (let end = i + bestLength; i < end; i++) insert(i);
+		} else {
+			writeSymbol(bytes[i]);
+			insert(i);
+			i++;
+		}
+	}
+	writeSymbol(256);
+	if (bufferSize > 0) out.push(buffer & 0xff);
+
+	out.push(...uint32(adler32(bytes)));
+	return new Uint8Array(out);
+}
+
+function paeth(a, b, c) {
+	const p = a + b - c;
+	const pa = Math.abs(p - a);
+	const pb = Math.abs(p - b);
+	const pc = Math.abs(p - c);
+	if (pa <= pb && pa <= pc) return a;
+	return pb <= pc ? b : c;
+}
+
+// The value PNG's filter of the given type predicts for a byte
+function predict(pixels, type, i, x, y, stride) {
+	if (type === 0) return 0;
+	const left = x >= 4 ? pixels[i - 4] : 0;
+	if (type === 1) return left;
+	const up = y > 0 ? pixels[i - stride] : 0;
+	if (type === 2) return up;
+	if (type === 3) return (left + up) >> 1;
+	return paeth(left, up, x >= 4 && y > 0 ? pixels[i - stride - 4] : 0);
+}
+
+/**
+ * Filters each row of RGBA pixels with the PNG filter that leaves the
+ * smallest differences, which compress best.
+ * @returns {Uint8Array} the rows, each starting with its filter type.
+ */
+function filterRows(pixels, width, height) {
+	const stride = width * 4;
+	const filtered = new Uint8Array((stride + 1) * height);
+	const row = new Uint8Array(stride);
+	for (let y = 0; y < height; y++) {
+		const start = y * stride;
+		let best = null;
+		for (let type = 0; type < 5; type++) {
+			let cost = 0;
+			for (let x = 0; x < stride; x++) {
+				row[x] = pixels[start + x] - predict(pixels, type, start + x, x, y, stride);
+				cost += row[x] < 128 ? row[x] : 256 - row[x];
+			}
+			if (!best || cost < best.cost) best = { type, cost, row: row.slice() };
+		}
+		filtered[y * (stride + 1)] = best.type;
+		filtered.set(best.row, y * (stride + 1) + 1);
+	}
+	return filtered;
+}
+
+// PNG numbers are big-endian
+function uint32(value) {
+	return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function chunk(type, data) {
+	const typeAndData = concatBytes([new Uint8Array(ascii(type)), data]);
+	return concatBytes([
+		new Uint8Array(uint32(data.length)),
+		typeAndData,
+		new Uint8Array(uint32(crc32(typeAndData))),
+	]);
+}
+
+/**
+ * Encodes an animated PNG (APNG) that loops forever, with full color and
+ * transparency. Browsers without APNG support show its first frame.
+ */
+export class APNGEncoder extends AnimationEncoder {
+	constructor(parameters) {
+		super(parameters);
+		this.frames = [];
+	}
+
+	writeFrame({ x, y, width, height, pixels, delay }) {
+		this.frames.push({
+			x,
+			y,
+			width,
+			height,
+			delay: Math.min(Math.round(delay), 0xffff),
+			data: deflate(filterRows(pixels, width, height)),
+		});
+	}
+
+	/**
+	 * @returns {Uint8Array} the PNG file.
+	 */
+	finish() {
+		this.flush();
+		let sequence = 0;
+		const chunks = [
+			new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+			// 8 bits per channel, RGBA
+			chunk(
+				'IHDR',
+				new Uint8Array([...uint32(this.width), ...uint32(this.height), 8, 6, 0, 0, 0])
+			),
+			// The number of frames, played forever
+			chunk('acTL', new Uint8Array([...uint32(this.frames.length), ...uint32(0)])),
+		];
+		this.frames.forEach(({ x, y, width, height, delay, data }, index) => {
+			chunks.push(
+				chunk(
+					'fcTL',
+					new Uint8Array([
+						...uint32(sequence++),
+						...uint32(width),
+						...uint32(height),
+						...uint32(x),
+						...uint32(y),
+						// The delay in milliseconds
+						delay >> 8,
+						delay & 0xff,
+						1000 >> 8,
+						1000 & 0xff,
+						// Keep the previous frame, replace the pixels of this one
+						0,
+						0,
+					])
+				)
+			);
+			// The first frame is the image shown without APNG support
+			chunks.push(
+				index === 0
+					? chunk('IDAT', data)
+					: chunk(
+							'fdAT',
+							concatBytes([new Uint8Array(uint32(sequence++)), data])
+					  )
+			);
+		});
+		chunks.push(chunk('IEND', new Uint8Array(0)));
+		return concatBytes(chunks);
+	}
+}
@@ -0,0 +1,449 @@
+/**
+ * Brushes paint the points of a stroke (a `line` operation). A brush is an
+ * object with a `render(ctx, operation, options)` function, where `options`
+ * is the stroke's `brush` field: `{ type, ...options }`. Register further
+ * brushes with registerBrush; strokes with an unknown brush are drawn with
+ * the marker.
+ */
+
+import { colorToRGBA } from './FloodFillUtils';
+
+export function midPointBtw(p1, p2) {
+	return {
+		x: p1.x + (p2.x - p1.x) / 2,
+		y: p1.y + (p2.y - p1.y) / 2,
+	};
+}
+
+/**
+ * @returns {boolean} whether the stroke's points carry pen pressure.
+ */
+export function hasPressure(points) {
+	return points.some(({ pressure }) => pressure !== undefined);
+}
+
+/**
+ * @returns {number} the factor by which the pen's pressure and tilt widen (or
+ * narrow) the stroke at the point. The default pressure of 0.5 keeps the
+ * stroke's width; tilting the pen flat widens it by up to half.
+ */
+export function pressureWidthFactor({ pressure, tiltX = 0, tiltY = 0 }) {
+	if (pressure === undefined) return 1;
+	const tilt = Math.min(90, Math.hypot(tiltX, tiltY));
+	return (0.5 + pressure) * (1 + tilt / 180);
+}
+
+/**
+ * Calls back with each piece of the smooth curve through the points: the
+ * start point, the control point and the end point of a quadratic curve, and
+ * the point of the stroke the piece belongs to. The curve uses the midpoint
+ * between two consecutive points as the end point and the first one as the
+ * control point, and ends with a straight piece.
+ */
+export function forEachCurveSegment(points, callback) {
+	let start = points[0];
+	for (let i = 1, len = points.length; i < len; i++) {
+		const control = points[i - 1];
+		const end = midPointBtw(control, points[i]);
+		callback(start, control, end, control);
+		start = end;
+	}
+	// The straight piece to the last point, which has no next point to
+	// calculate the bezier control point with yet
+	const last = points[points.length - 1];
+	callback(start, midPointBtw(start, last), last, last);
+}
+
+/**
+ * Strokes the given points as a smooth curve, using the midpoint between two
+ * consecutive points as the end point and the first one as the control point.
+ * Points with pen pressure are stroked piece by piece with varying width.
+ */
+export function strokePoints(ctx, { points, brushColor, brushRadius }) {
+	ctx.lineJoin = 'round';
+	ctx.lineCap = 'round';
+	ctx.strokeStyle = brushColor;
+	ctx.lineWidth = brushRadius * 2;
+
+	if (hasPressure(points)) {
+		forEachCurveSegment(points, (start, control, end, point) => {
+			ctx.beginPath();
+			ctx.moveTo(start.x, start.y);
+			ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+			ctx.lineWidth = brushRadius * 2 * pressureWidthFactor(point);
+			ctx.stroke();
+		});
+		return;
+	}
+
+	let p1 = points[0];
+	let p2 = points[1];
+
+	ctx.beginPath();
+	ctx.moveTo(p1.x, p1.y);
+
+	for (let i = 1, len = points.length; i < len; i++) {
+		// we pick the point between pi+1 & pi+2 as the
+		// end point and p1 as our control point
+		const midPoint = midPointBtw(p1, p2);
+		ctx.quadraticCurveTo(p1.x, p1.y, midPoint.x, midPoint.y);
+		p1 = points[i];
+		p2 = points[i + 1];
+	}
+	// Draw last line as a straight line while
+	// we wait for the next point to be able to calculate
+	// the bezier control point
+	ctx.lineTo(p1.x, p1.y);
+	ctx.stroke();
+}
+
+const DEFAULT_NIB_ANGLE = Math.PI / 4;
+const DEFAULT_STAMP_SPACING = 0.25;
+export const HIGHLIGHTER_ALPHA = 0.35;
+
+/**
+ * @returns {Function} a generator of pseudo-random numbers in [0, 1), which
+ * returns the same sequence for the same seed (mulberry32).
+ */
+export function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function interpolatePoint(from, to, t) {
+	const point = {
+		x: from.x + (to.x - from.x) * t,
+		y: from.y + (to.y - from.y) * t,
+	};
+	['pressure', 'tiltX', 'tiltY'].forEach((key) => {
+		if (to[key] === undefined) return;
+		point[key] =
+			from[key] === undefined ? to[key] : from[key] + (to[key] - from[key]) * t;
+	});
+	return point;
+}
+
+/**
+ * Calls back with points every `spacing` pixels along the straight lines
+ * through the points, starting with the first one. Pen pressure and tilt are
+ * interpolated.
+ */
+export function forEachSpacedPoint(points, spacing, callback) {
+	callback(points[0]);
+	// The distance walked since the last point we called back with
+	let carried = 0;
+	for (let i = 1; i < points.length; i++) {
+		const from = points[i - 1];
+		const to = points[i];
+		const length = Math.hypot(to.x - from.x, to.y - from.y);
+		let travelled = spacing - carried;
+		while (travelled <= length) {
+			callback(interpolatePoint(from, to, travelled / length));
+			travelled += spacing;
+		}
+		carried = length - (travelled - spacing);
+	}
+}
+
+/**
+ * @returns {Object[]} the dots ({ x, y, size }) the airbrush sprays around the
+ * stroke, denser towards its center. The dots only depend on the stroke, so
+ * that it looks the same every time it's drawn.
+ */
+export function sprayDots({ points, brushRadius, brush = {} }) {
+	const random = createRandom(brush.seed || 0);
+	const size = Math.max(1, brushRadius / 10);
+	const dots = [];
+	forEachSpacedPoint(points, Math.max(1, brushRadius / 3), (point) => {
+		const radius = brushRadius * pressureWidthFactor(point);
+		const count = Math.ceil(radius * 2);
+		for (let i = 0; i < count; i++) {
+			const angle = random() * Math.PI * 2;
+			const distance = radius * random();
+			dots.push({
+				x: point.x + Math.cos(angle) * distance - size / 2,
+				y: point.y + Math.sin(angle) * distance - size / 2,
+				size,
+			});
+		}
+	});
+	return dots;
+}
+
+function signedArea(polygon) {
+	let area = 0;
+	polygon.forEach((p, i) => {
+		const q = polygon[(i + 1) % polygon.length];
+		area += p.x * q.y - q.x * p.y;
+	});
+	return area / 2;
+}
+
+/**
+ * @returns {Object[][]} the quadrilaterals a flat calligraphy nib sweeps
+ * between consecutive points. The nib is held at the brush's `angle` (in
+ * radians) and is as wide as the brush. All of them have the same
+ * orientation, so that they fill as one shape.
+ */
+export function nibPolygons({ points, brushRadius, brush = {} }) {
+	const angle = brush.angle === undefined ? DEFAULT_NIB_ANGLE : brush.angle;
+	const nib = (point) => {
+		const half = brushRadius * pressureWidthFactor(point);
+		const dx = Math.cos(angle) * half;
+		const dy = Math.sin(angle) * half;
+		return [
+			{ x: point.x - dx, y: point.y - dy },
+			{ x: point.x + dx, y: point.y + dy },
+		];
+	};
+
+	const polygons = [];
+	for (let i = 1; i < points.length; i++) {
+		const [fromStart, fromEnd] = nib(points[i - 1]);
+		const [toStart, toEnd] = nib(points[i]);
+		const quad = [fromStart, fromEnd, toEnd, toStart];
+		if (signedArea(quad) < 0) quad.reverse();
+		polygons.push(quad);
+	}
+	// A dot is as thin as the nib
+	if (!polygons.length) polygons.push(nib(points[0]));
+	return polygons;
+}
+
+/**
+ * @returns {Object[]} where the stamp brush places its image ({ x, y, size },
+ * the top left corner and the width and height), every `spacing` times the
+ * brush's width.
+ */
+export function stampPlacements({ points, brushRadius, brush = {} }) {
+	const spacing =
+		brush.spacing === undefined ? DEFAULT_STAMP_SPACING : brush.spacing;
+	const placements = [];
+	forEachSpacedPoint(points, Math.max(1, brushRadius * 2 * spacing), (point) => {
+		const size = brushRadius * 2 * pressureWidthFactor(point);
+		placements.push({ x: point.x - size / 2, y: point.y - size / 2, size });
+	});
+	return placements;
+}
+
+// The stamp brushes' images by their URL, and tinted copies by color and URL
+const stampImages = {};
+const tintedStamps = {};
+
+function isStampLoaded(src) {
+	const image = stampImages[src] && stampImages[src].image;
+	return !!(image && image.complete && image.naturalWidth);
+}
+
+function loadStampImage(src) {
+	if (!stampImages[src]) {
+		const image = new Image();
+		image.crossOrigin = 'anonymous';
+		const loaded = new Promise((resolve) => {
+			image.onload = () => resolve(true);
+			image.onerror = () => resolve(false);
+		});
+		image.src = src;
+		stampImages[src] = { image, loaded };
+	}
+	return stampImages[src].loaded;
+}
+
+/**
+ * @returns {HTMLCanvasElement|null} the stamp image in the given color (its
+ * alpha channel is the shape of the stamp), or null while it's loading.
+ */
+function tintedStamp(src, color) {
+	if (!isStampLoaded(src)) {
+		loadStampImage(src);
+		return null;
+	}
+
+	const key = `${color} ${src}`;
+	if (!tintedStamps[key]) {
+		const { image } = stampImages[src];
+		const canvas = document.createElement('canvas');
+		canvas.width = image.naturalWidth;
+		canvas.height = image.naturalHeight;
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(image, 0, 0);
+		ctx.globalCompositeOperation = 'source-in';
+		ctx.fillStyle = color;
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		tintedStamps[key] = canvas;
+	}
+	return tintedStamps[key];
+}
+
+/**
+ * Loads the images of the given brushes' stamps.
+ * @returns {Promise<boolean>} whether any of them had yet to be loaded, i.e.
+ * whether strokes drawn with them need to be drawn again.
+ */
+export function loadBrushImages(brushes) {
+	const pending = brushes.filter(
+		(brush) =>
+			brush && brush.type === 'stamp' && brush.image && !isStampLoaded(brush.image)
+	);
+	return Promise.all(pending.map((brush) => loadStampImage(brush.image))).then(
+		() => pending.length > 0
+	);
+}
+
+function tracePolygon(ctx, polygon) {
+	ctx.moveTo(polygon[0].x, polygon[0].y);
+	for (let i = 1; i < polygon.length; i++) {
+		ctx.lineTo(polygon[i].x, polygon[i].y);
+	}
+	ctx.closePath();
+}
+
+const brushes = {
+	// A solid, round stroke
+	marker: {
+		render: strokePoints,
+	},
+
+	// A translucent stroke that darkens what's underneath
+	highlighter: {
+		blendMode: 'multiply',
+		render(ctx, operation) {
+			ctx.globalAlpha *= HIGHLIGHTER_ALPHA;
+			ctx.globalCompositeOperation = 'multiply';
+			// A single path of constant width, so that overlaps don't get darker
+			strokePoints(ctx, {
+				...operation,
+				points: operation.points.map(({ x, y }) => ({ x, y })),
+			});
+		},
+	},
+
+	airbrush: {
+		render(ctx, operation) {
+			ctx.fillStyle = operation.brushColor;
+			sprayDots(operation).forEach(({ x, y, size }) =>
+				ctx.fillRect(x, y, size, size)
+			);
+		},
+	},
+
+	// A flat nib, see the angle option
+	calligraphy: {
+		render(ctx, operation) {
+			ctx.fillStyle = operation.brushColor;
+			ctx.strokeStyle = operation.brushColor;
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			nibPolygons(operation).forEach((polygon) => tracePolygon(ctx, polygon));
+			ctx.fill();
+			// Covers the hairline seams between the polygons
+			ctx.stroke();
+		},
+	},
+
+	// Repeats the image of the `image` option (an URL) along the stroke,
+	// tinted in the brush color
+	stamp: {
+		render(ctx, operation, { image }) {
+			const stamp = image && tintedStamp(image, operation.brushColor);
+			if (!stamp) return;
+			stampPlacements(operation).forEach(({ x, y, size }) =>
+				ctx.drawImage(stamp, x, y, size, size)
+			);
+		},
+	},
+};
+
+/**
+ * Adds a brush that strokes can be drawn with, or replaces a built-in one.
+ * @param {string} type the name of the brush, used by the `brush` prop.
+ * @param {Object} brush the brush, see above.
+ */
+export function registerBrush(type, brush) {
+	brushes[type] = brush;
+}
+
+export function getBrush(type) {
+	return brushes[type] || brushes.marker;
+}
+
+/**
+ * @returns {Object} the `brush` field of a new stroke starting at the given
+ * point, for the `brush` prop: a brush type or an object with the type and
+ * its options.
+ */
+export function brushForStroke(brush = 'marker', { x, y }) {
+	const options = typeof brush === 'string' ? { type: brush } : { ...brush };
+	if (options.type === 'calligraphy' && options.angle === undefined) {
+		options.angle = DEFAULT_NIB_ANGLE;
+	}
+	if (options.type === 'airbrush' && options.seed === undefined) {
+		// Seed the spray with the start point
+		options.seed = Math.round(x * 7919 + y * 104729);
+	}
+	return options;
+}
+
+/**
+ * @returns {Object} the opaque color and the alpha (0-1) of a CSS color.
+ * Colors that can't be parsed are taken for opaque.
+ */
+export function splitAlpha(color) {
+	try {
+		const { r, g, b, a } = colorToRGBA(color);
+		return { color: `rgb(${r},${g},${b})`, alpha: a / 255 };
+	} catch (e) {
+		return { color, alpha: 1 };
+	}
+}
+
+// Translucent strokes are painted on this canvas first, see renderStroke
+let layer = null;
+
+function strokeLayer(width, height) {
+	if (!layer) layer = document.createElement('canvas').getContext('2d');
+	if (layer.canvas.width !== width || layer.canvas.height !== height) {
+		layer.canvas.width = width;
+		layer.canvas.height = height;
+	}
+	layer.setTransform(1, 0, 0, 1, 0, 0);
+	layer.clearRect(0, 0, width, height);
+	return layer;
+}
+
+/**
+ * Draws a stroke with its brush, using the context's current transform. A
+ * translucent stroke (by its `opacity` or the alpha of its color) is painted
+ * opaque on a layer of its own and then composited in one go, so that it
+ * doesn't get darker where it overlaps itself.
+ */
+export function renderStroke(ctx, operation) {
+	const options = operation.brush || { type: 'marker' };
+	const brush = getBrush(options.type);
+	const { color, alpha } = splitAlpha(operation.brushColor);
+	const opacity =
+		(operation.opacity === undefined ? 1 : operation.opacity) * alpha;
+	if (opacity >= 1) {
+		brush.render(ctx, operation, options);
+		return;
+	}
+
+	const strokeCtx = strokeLayer(ctx.canvas.width, ctx.canvas.height);
+	strokeCtx.setTransform(ctx.getTransform());
+	strokeCtx.save();
+	brush.render(strokeCtx, { ...operation, brushColor: color }, options);
+	strokeCtx.restore();
+
+	ctx.save();
+	ctx.setTransform(1, 0, 0, 1, 0, 0);
+	ctx.globalAlpha *= opacity;
+	if (brush.blendMode) ctx.globalCompositeOperation = brush.blendMode;
+	ctx.drawImage(strokeCtx.canvas, 0, 0);
+	ctx.restore();
+}
@@ -0,0 +1,212 @@
+/**
+ * Collaboration: every operation added to a shared drawing gets an `id`, the
+ * `author` who added it and a Lamport timestamp (`lamport`). Changes to the
+ * drawing are shared as entries of an operation log:
+ *
+ * `{ type: "add" | "replace" | "remove", id, author, lamport, operation }`
+ *
+ * where `author` and `lamport` are those of the change and `operation` is
+ * the operation added or replaced. For each id, the change with the latest
+ * timestamp wins, and operations are drawn in the order of their own
+ * timestamps, so every copy of the drawing that saw the same changes looks
+ * the same, whatever order they arrived in.
+ */
+
+/**
+ * Orders two timestamped objects by their Lamport time, then by author, then
+ * by id. Objects without a timestamp (e.g. of drawings saved before they
+ * were shared) come first.
+ */
+export function compareStamps(a, b) {
+	const byTime = (a.lamport || 0) - (b.lamport || 0);
+	if (byTime) return byTime;
+	const byAuthor = String(a.author || '').localeCompare(String(b.author || ''));
+	if (byAuthor) return byAuthor;
+	return String(a.id || '').localeCompare(String(b.id || ''));
+}
+
+/**
+ * Sorts the operation list in place in drawing order, see compareStamps.
+ * @returns {boolean} whether the order changed.
+ */
+export function sortOperations(operations) {
+	const sorted = operations.slice().sort(compareStamps);
+	const changed = sorted.some((operation, i) => operation !== operations[i]);
+	if (changed) operations.splice(0, operations.length, ...sorted);
+	return changed;
+}
+
+/**
+ * Keeps one author's Lamport clock and the timestamp of the latest change to
+ * each operation, and turns changes into log entries and back.
+ */
+export class OperationLog {
+	constructor({ author }) {
+		this.author = author;
+		this.clock = 0;
+		// The timestamp of the latest change to each operation, by id
+		this.versions = {};
+	}
+
+	/**
+	 * Advances the clock past the timestamps of the given operations or log
+	 * entries, e.g. of a loaded drawing, so that later changes come after
+	 * them.
+	 */
+	observe = (stamped) => {
+		stamped.forEach(({ lamport }) => {
+			if (lamport > this.clock) this.clock = lamport;
+		});
+	};
+
+	tick = () => {
+		this.clock += 1;
+		return this.clock;
+	};
+
+	/**
+	 * @returns {Object} a copy of the new operation with an id, author and
+	 * timestamp.
+	 */
+	stamp = (operation) => {
+		const lamport = this.tick();
+		return {
+			...operation,
+			id: `${this.author}-${lamport}`,
+			author: this.author,
+			lamport,
+		};
+	};
+
+	/**
+	 * @param {Object} changes the operations `added` and `removed` by a local
+	 * change, as passed to onChange. Operations without an id aren't shared.
+	 * @returns {Object[]} the log entries to send to the other authors.
+	 */
+	localEntries = ({ added, removed }) => {
+		const addedIds = added.map(({ id }) => id);
+		const entries = [];
+		const record = (entry) => {
+			this.versions[entry.id] = entry;
+			entries.push(entry);
+		};
+
+		added.forEach((operation) => {
+			if (!operation.id) return;
+			const isReplaced = removed.some(({ id }) => id === operation.id);
+			record({
+				type: isReplaced ? 'replace' : 'add',
+				id: operation.id,
+				author: this.author,
+				lamport: this.tick(),
+				operation,
+			});
+		});
+		removed.forEach(({ id }) => {
+			if (!id || addedIds.indexOf(id) !== -1) return;
+			record({ type: 'remove', id, author: this.author, lamport: this.tick() });
+		});
+		return entries;
+	};
+
+	/**
+	 * Applies a log entry of another author to the operation list in place.
+	 * Entries older than the latest change to the same operation are ignored.
+	 * @returns {Object | null} the operations `added` and `removed` by the
+	 * entry, or null if it changed nothing.
+	 */
+	merge = (operations, entry) => {
+		this.observe([entry]);
+		const latest = this.versions[entry.id];
+		if (latest && compareStamps(entry, latest) <= 0) return null;
+		this.versions[entry.id] = {
+			id: entry.id,
+			author: entry.author,
+			lamport: entry.lamport,
+		};
+
+		const index = operations.findIndex(({ id }) => id === entry.id);
+		const removed = index === -1 ? [] : [operations[index]];
+		if (entry.type === 'remove') {
+			if (index === -1) return null;
+			operations.splice(index, 1);
+			return { added: [], removed };
+		}
+
+		const { operation } = entry;
+		if (index !== -1) {
+			operations[index] = operation;
+		} else {
+			let position = operations.length;
+			while (position > 0 && compareStamps(operations[position - 1], operation) > 0) {
+				position--;
+			}
+			operations.splice(position, 0, operation);
+		}
+		return { added: [operation], removed };
+	};
+}
+
+const memoryChannels = {};
+
+/**
+ * A transport for trying out collaboration locally: it connects the
+ * transports with the same name in other tabs of the browser (through a
+ * BroadcastChannel) or, where BroadcastChannel is unavailable, on the same
+ * page. Other transports (e.g. over a WebSocket) only need `send(entry)` and
+ * `subscribe(listener)`, which returns a function to unsubscribe.
+ */
+export class LocalTransport {
+	/**
+	 * @param {string} name the name of the channel to share changes on.
+	 * @param {Object} options
+	 * @param {boolean} options.broadcast whether to use a BroadcastChannel.
+	 */
+	constructor(
+		name = 'react-canvas-draw',
+		{ broadcast = typeof BroadcastChannel !== 'undefined' } = {}
+	) {
+		this.listeners = [];
+		if (broadcast) {
+			this.channel = new BroadcastChannel(name);
+			this.channel.onmessage = (e) => this.receive(e.data);
+		} else {
+			this.peers = memoryChannels[name] = memoryChannels[name] || [];
+			this.peers.push(this);
+		}
+	}
+
+	send = (entry) => {
+		if (this.channel) {
+			this.channel.postMessage(entry);
+			return;
+		}
+		// Copy and deliver later, like a message over the network
+		const message = JSON.stringify(entry);
+		this.peers.forEach((peer) => {
+			if (peer !== this) {
+				Promise.resolve().then(() => peer.receive(JSON.parse(message)));
+			}
+		});
+	};
+
+	subscribe = (listener) => {
+		this.listeners.push(listener);
+		return () => {
+			this.listeners = this.listeners.filter((other) => other !== listener);
+		};
+	};
+
+	receive = (entry) => {
+		this.listeners.forEach((listener) => listener(entry));
+	};
+
+	close = () => {
+		if (this.channel) {
+			this.channel.close();
+		} else {
+			this.peers.splice(this.peers.indexOf(this), 1);
+		}
+		this.listeners = [];
+	};
+}
@@ -50,10 +50,12 @@ export default class CoordinateSystem {
    * @param {Object} parameters the initialization parameters for this instance.
    * @param {Extents} parameters.scaleExtents the minimum and maximum allowable scale factor.
    * @param {Sizee} parameters.documentSize the width and height of the document, in client space.
+   * @param {number} parameters.pixelRatio the number of canvas pixels per client pixel (1 by default).
    */
-  constructor({ scaleExtents, documentSize }) {
+  constructor({ scaleExtents, documentSize, pixelRatio = 1 }) {
     this._scaleExtents = scaleExtents;
     this._documentSize = documentSize;
+    this._pixelRatio = pixelRatio;
   }
 
   /**
@@ -66,6 +68,11 @@ export default class CoordinateSystem {
    */
   _documentSize;
 
+  /**
+   * @type {number}
+   */
+  _pixelRatio;
+
   /**
    * @typedef Canvas
    * @property {number} width the canvas's width
@@ -209,6 +216,23 @@ export default class CoordinateSystem {
     this.setView();
   }
 
+  /**
+   * @returns {number} the number of canvas pixels per client pixel, e.g. the
+   * screen's devicePixelRatio.
+   */
+  get pixelRatio() {
+    return this._pixelRatio;
+  }
+
+  /**
+   * Sets the number of canvas pixels per client pixel. The view, which is in
+   * client space, stays the same; canvases draw with the new canvasMatrix.
+   * @param {number} pixelRatio the new ratio.
+   */
+  set pixelRatio(pixelRatio) {
+    this._pixelRatio = pixelRatio;
+  }
+
   /**
    * A view matrix expressing a series of transformations.
    * https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/setTransform
@@ -236,6 +260,23 @@ export default class CoordinateSystem {
     };
   }
 
+  /**
+   * @returns {Matrix} the matrix to draw on the canvas with: the current
+   * transformation matrix, scaled from client space to the canvas' pixels.
+   */
+  get canvasMatrix() {
+    const { a, b, c, d, e, f } = this.transformMatrix;
+    const ratio = this._pixelRatio;
+    return {
+      a: a * ratio,
+      b: b * ratio,
+      c: c * ratio,
+      d: d * ratio,
+      e: e * ratio,
+      f: f * ratio,
+    };
+  }
+
   /**
    * An object expressing the bounds of a canvas object in terms of the
    * coordinate system.
@@ -261,8 +302,8 @@ export default class CoordinateSystem {
         viewMin: this.clientPointToViewPoint({ clientX: left, clientY: top }),
         viewMax: this.clientPointToViewPoint({ clientX: right, clientY: bottom }),
         left, top, right, bottom,
-        canvasWidth: this._canvas.width,
-        canvasHeight: this._canvas.height,
+        canvasWidth: this._canvas.width / this._pixelRatio,
+        canvasHeight: this._canvas.height / this._pixelRatio,
       };
     } else {
       return undefined;
@@ -3,31 +3,118 @@ import { LazyBrush } from 'lazy-brush';
 import PropTypes from 'prop-types';
 import React, { PureComponent } from 'react';
 import ResizeObserver from 'resize-observer-polyfill';
+import { APNGEncoder, GIFEncoder } from './animationEncoders';
+import {
+	brushForStroke,
+	getBrush,
+	loadBrushImages,
+} from './brushes';
+import { OperationLog, sortOperations } from './collaboration';
 import CoordinateSystem, { IDENTITY } from './coordinateSystem';
 import drawImage from './drawImage';
-import { DefaultState, viewPointFromEvent } from './interactionStateMachine';
+import {
+	DefaultState,
+	PointerTracker,
+	documentPointFromEvent,
+	viewPointFromEvent,
+} from './interactionStateMachine';
+import {
+	createKeyMap,
+	KEYBOARD_ZOOM_FACTOR,
+	keyComboFromEvent,
+	stepBrushRadius,
+} from './keyboardShortcuts';
 import makePassiveEventOption from './makePassiveEventOption';
-
-function midPointBtw(p1, p2) {
-	return {
-		x: p1.x + (p2.x - p1.x) / 2,
-		y: p1.y + (p2.y - p1.y) / 2,
-	};
-}
+import {
+	compositeLayers,
+	createLayer,
+	defaultLayers,
+	renderLayers,
+	validateLayerChanges,
+} from './layers';
+import OperationHistory, {
+	BatchCommand,
+	LayersCommand,
+	addOperation,
+	clearOperations,
+	diffOperations,
+	operationChanges,
+	removeOperations,
+	replaceOperations,
+} from './operationHistory';
+import pixelOperations, { runPixelOperation } from './pixelOperations';
+import { PlaybackController, createTimeline, timelineAt } from './playback';
+import {
+	DEFAULT_PRESENCE_INTERVAL,
+	PresenceSender,
+	authorColor,
+	mergePresence,
+} from './presence';
+import {
+	TEXT_LINE_HEIGHT,
+	renderOperation,
+	renderOperations,
+	textFont,
+} from './renderOperations';
+import {
+	createSaveData,
+	parseSaveData,
+	scaleOperation,
+	validateSaveData,
+} from './saveData';
+import {
+	TEXT_ALIGN_OFFSETS,
+	getBounds,
+	getHandles,
+	isIdentity,
+	operationAtPoint,
+	operationsInPolygon,
+	textBox,
+	transformOperation,
+	transformPoint,
+} from './selection';
+import operationsToSVG from './svgExport';
+
+export { registerBrush } from './brushes';
+export { LocalTransport } from './collaboration';
 
 const canvasStyle = {
 	display: 'block',
 	position: 'absolute',
 };
 
-// The order of these is important: grid > drawing > temp > interface
-const canvasTypes = ['grid', 'drawing', 'temp', 'interface'];
+// The order of these is important: grid > drawing > silhouette > temp > interface
+const canvasTypes = ['grid', 'drawing', 'silhouette', 'temp', 'interface'];
+
+// Sizes of the selection handles, in client pixels
+const HANDLE_SIZE = 8;
+
+// Shapes spanned by dragging, and shapes placed point by point with clicks
+const dragShapeTools = ['Rectangle', 'Circle', 'Line', 'Arrow'];
+const pathTools = ['Polyline', 'Polygon'];
+const ROTATE_HANDLE_OFFSET = 24;
+const SELECTION_COLOR = '#1e88e5';
+
+// The encoders and MIME types of exportAnimation's formats
+const animationFormats = {
+	gif: { Encoder: GIFEncoder, type: 'image/gif' },
+	apng: { Encoder: APNGEncoder, type: 'image/apng' },
+};
+// How long an exported animation shows the finished drawing before looping
+const FINAL_FRAME_DELAY = 1000;
+// The layers getDataURL can compose, from the bottom up
+const exportLayers = ['background', 'image', 'grid', 'drawing', 'silhouette'];
 
 const dimensionsPropTypes = PropTypes.oneOfType([
 	PropTypes.number,
 	PropTypes.string,
 ]);
 
+const brushProp = PropTypes.oneOfType([
+	PropTypes.string,
+	PropTypes.shape({ type: PropTypes.string.isRequired }),
+]);
+
 const boundsProp = PropTypes.shape({
 	min: PropTypes.number.isRequired,
 	max: PropTypes.number.isRequired,
@@ -36,19 +123,42 @@ const boundsProp = PropTypes.shape({
 export default class CanvasDraw extends PureComponent {
 	static propTypes = {
 		onChange: PropTypes.func,
+		onStrokeStart: PropTypes.func,
+		onStrokeEnd: PropTypes.func,
+		onShapeCommit: PropTypes.func,
+		onFill: PropTypes.func,
+		onError: PropTypes.func,
+		onErase: PropTypes.func,
+		onUndo: PropTypes.func,
+		onRedo: PropTypes.func,
+		onClear: PropTypes.func,
+		onViewChange: PropTypes.func,
+		onPlaybackProgress: PropTypes.func,
+		author: PropTypes.string,
+		transport: PropTypes.shape({
+			send: PropTypes.func.isRequired,
+			subscribe: PropTypes.func.isRequired,
+		}),
+		presenceName: PropTypes.string,
+		presenceColor: PropTypes.string,
+		presenceInterval: PropTypes.number,
 		loadTimeOffset: PropTypes.number,
 		lazyRadius: PropTypes.number,
 		brushRadius: PropTypes.number,
 		brushColor: PropTypes.string,
+		brushOpacity: PropTypes.number,
 		catenaryColor: PropTypes.string,
 		gridColor: PropTypes.string,
 		backgroundColor: PropTypes.string,
 		hideGrid: PropTypes.bool,
 		canvasWidth: dimensionsPropTypes,
 		canvasHeight: dimensionsPropTypes,
+		pixelRatio: PropTypes.number,
 		disabled: PropTypes.bool,
 		imgSrc: PropTypes.string,
 		saveData: PropTypes.string,
+		value: PropTypes.object,
+		defaultValue: PropTypes.object,
 		immediateLoading: PropTypes.bool,
 		hideInterface: PropTypes.bool,
 		gridSizeX: PropTypes.number,
@@ -69,23 +179,64 @@ export default class CanvasDraw extends PureComponent {
 		crosshairIcon: PropTypes.any,
 		scale: PropTypes.number,
 		silhouetteImage: PropTypes.any,
+		historyDepth: PropTypes.number,
+		fillTolerance: PropTypes.number,
+		fillAlpha: PropTypes.number,
+		fillGapSize: PropTypes.number,
+		selectionMode: PropTypes.oneOf(['marquee', 'lasso']),
+		arrowHeads: PropTypes.oneOf(['end', 'both']),
+		inputMode: PropTypes.oneOf(['all', 'pen']),
+		keyboardShortcuts: PropTypes.bool,
+		keyMap: PropTypes.objectOf(
+			PropTypes.oneOfType([
+				PropTypes.string,
+				PropTypes.shape({ tool: PropTypes.string.isRequired }),
+			])
+		),
+		onToolChange: PropTypes.func,
+		onBrushRadiusChange: PropTypes.func,
+		brush: brushProp,
+		fontFamily: PropTypes.string,
+		fontSize: PropTypes.number,
+		fontWeight: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+		textAlign: PropTypes.oneOf(['left', 'center', 'right']),
 	};
 
 	static defaultProps = {
 		onChange: null,
+		onStrokeStart: null,
+		onStrokeEnd: null,
+		onShapeCommit: null,
+		onFill: null,
+		onError: null,
+		onErase: null,
+		onUndo: null,
+		onRedo: null,
+		onClear: null,
+		onViewChange: null,
+		onPlaybackProgress: null,
+		author: null,
+		transport: null,
+		presenceName: '',
+		presenceColor: null,
+		presenceInterval: DEFAULT_PRESENCE_INTERVAL,
 		loadTimeOffset: 5,
 		lazyRadius: 0,
 		brushRadius: 10,
 		brushColor: '#db2727',
+		brushOpacity: 1,
 		catenaryColor: '#0a0302',
 		gridColor: 'rgba(150,150,150,0.17)',
 
 		hideGrid: false,
 		canvasWidth: 400,
 		canvasHeight: 400,
+		pixelRatio: null,
 		disabled: false,
 		imgSrc: '',
 		saveData: '',
+		value: null,
+		defaultValue: null,
 		immediateLoading: false,
 		hideInterface: false,
 		gridSizeX: 25,
@@ -106,6 +257,22 @@ export default class CanvasDraw extends PureComponent {
 		crosshairIcon: null,
 		silhouetteImage: null,
 		backgroundColor: '#ffffff',
+		historyDepth: Infinity,
+		fillTolerance: 32,
+		fillAlpha: 1,
+		fillGapSize: 0,
+		selectionMode: 'marquee',
+		arrowHeads: 'end',
+		inputMode: 'all',
+		keyboardShortcuts: false,
+		keyMap: null,
+		onToolChange: null,
+		onBrushRadiusChange: null,
+		brush: 'marker',
+		fontFamily: 'sans-serif',
+		fontSize: 24,
+		fontWeight: 'normal',
+		textAlign: 'left',
 	};
 
 	///// public API /////////////////////////////////////////////////////////////
@@ -117,12 +284,8 @@ export default class CanvasDraw extends PureComponent {
 		this.ctx = {};
 
 		this.catenary = new Catenary();
-		this.circles = [];
-		this.rectangles = [];
 		this.points = [];
 		this.allDrawnPoints = [];
-		this.lines = [];
-		this.erasedLines = [];
 		this.shapeStartX;
 		this.shapeStartY;
 		this.lastX;
@@ -134,7 +297,49 @@ export default class CanvasDraw extends PureComponent {
 		this.isDrawing = false;
 		this.isPressing = false;
 		this.deferRedrawOnViewChange = false;
-		this.undoImageQueue = [];
+		// The size of the canvases in CSS pixels, see resizeCanvases
+		this.canvasSize = { width: 0, height: 0 };
+		this.history = new OperationHistory({
+			maxDepth: props.historyDepth,
+			layers: defaultLayers(),
+		});
+		// The id of the layer new operations are added to, see getActiveLayer
+		this.activeLayer = this.history.layers[0].id;
+		// The offscreen canvases each layer is rendered to, by layer id
+		this.layerContexts = {};
+		this.pendingFill = Promise.resolve();
+		// The operations selected with the Select tool, the transform they are
+		// being dragged with, and the marquee or lasso being drawn.
+		this.selection = [];
+		this.selectionTransform = null;
+		this.selectionArea = null;
+		// The points placed so far with the Polyline or Polygon tool
+		this.pathPoints = [];
+		// The text operation being replaced by the open text editor, if any
+		this.isEditingText = false;
+		this.editedText = null;
+		// The controller of the current playback (see getPlayback), and the
+		// number of operations it shows (null when showing the whole drawing)
+		this.playback = null;
+		this.playbackCount = null;
+
+		this.state = {
+			// The text editor's draft operation and the operation it edits
+			textEditor: null,
+			// Whether the space bar is held to pan, see handleShortcutKeyDown
+			spacePanning: false,
+		};
+
+		this.pointerTracker = new PointerTracker();
+		this.operationLog = new OperationLog({
+			author: props.author || `author-${Math.random().toString(36).slice(2, 10)}`,
+		});
+		// Where the other authors point and what they're drawing, by author
+		this.remotePresence = {};
+		this.presenceSender = new PresenceSender({
+			send: this.sendPresence,
+			interval: props.presenceInterval,
+		});
 
 		this.interactionSM = new DefaultState();
 		this.coordSystem = new CoordinateSystem({
@@ -142,53 +347,202 @@ export default class CanvasDraw extends PureComponent {
 			documentSize: { width: props.canvasWidth, height: props.canvasHeight },
 		});
 		this.coordSystem.attachViewChangeListener(this.applyView.bind(this));
+		this.coordSystem.attachViewChangeListener((view) =>
+			this.triggerEvent('onViewChange', view)
+		);
 	}
 
-	pushToUndoQueue = () => {
-		const imageData = this.ctx.drawing.getImageData(
-			0,
-			0,
-			this.ctx.drawing.canvas.width,
-			this.ctx.drawing.canvas.height
-		);
-		if (this.undoImageQueue.length >= 6) {
-			//max 6 stacks undo
-			this.undoImageQueue.shift();
+	/**
+	 * @returns {Object[]} every operation (stroke, shape, fill, erasure) that
+	 * makes up the current drawing, in the order they were drawn.
+	 */
+	get operations() {
+		return this.history.operations;
+	}
+
+	get lines() {
+		return this.operations.filter((operation) => operation.type === 'line');
+	}
+
+	/**
+	 * Reverts the most recent change to the drawing (a stroke, shape, fill,
+	 * erasure or clear).
+	 */
+	undo = () => {
+		const command = this.history.undo();
+		if (command) {
+			this.redrawDrawing();
+			this.triggerOnChange(command, 'undo');
+			this.triggerEvent('onUndo', this.changeInfo(command, 'undo'));
 		}
-		this.undoImageQueue.push(imageData);
 	};
-	undo = () => {
-		if (this.undoImageQueue.length > 0) {
-			const image = this.undoImageQueue.pop();
 
-			this.imageData = image;
-			this.loadSaveData();
+	/**
+	 * Re-applies the most recently undone change.
+	 */
+	redo = () => {
+		const command = this.history.redo();
+		if (command) {
+			this.redrawDrawing();
+			this.triggerOnChange(command, 'redo');
+			this.triggerEvent('onRedo', this.changeInfo(command, 'redo'));
 		}
-		// let lines = [];
-		// if (this.lines.length) {
-		// 	lines = this.lines.slice(0, -1);
-		// } else if (this.erasedLines.length) {
-		// 	lines = this.erasedLines.pop();
-		// }
-		// this.clearExceptErasedLines();
-		// this.simulateDrawingLines({ lines, immediate: true });
-		// this.triggerOnChange();
+	};
+
+	canUndo = () => this.history.canUndo();
+
+	canRedo = () => this.history.canRedo();
+
+	/**
+	 * @returns {Object[]} the operations currently selected with the Select
+	 * tool.
+	 */
+	getSelection = () => {
+		// Undo, redo and clearing can remove selected operations, and their
+		// layer may have been hidden or locked meanwhile
+		return this.selection.filter(
+			(operation) =>
+				this.operations.indexOf(operation) !== -1 &&
+				this.isLayerEditable(operation.layer)
+		);
+	};
+
+	clearSelection = () => {
+		this.selection = [];
+		this.valuesChanged = true;
+	};
+
+	/**
+	 * Removes the selected operations from the drawing as one undoable step.
+	 */
+	deleteSelection = () => {
+		const selected = this.getSelection();
+		if (!selected.length) return;
+
+		const command = this.history.execute(
+			removeOperations(this.operations, selected)
+		);
+		this.clearSelection();
+		this.redrawDrawing();
+		this.triggerOnChange(command);
 	};
 
 	eraseAll = () => {
-		this.erasedLines.push([...this.lines]);
-		this.clearExceptErasedLines();
-		this.triggerOnChange();
+		if (!this.operations.length) return;
+
+		const command = this.history.execute(clearOperations(this.operations));
+		this.redrawDrawing();
+		this.triggerOnChange(command);
+		this.triggerEvent('onClear', { removed: command.removed });
+	};
+
+	/**
+	 * @returns {Object[]} the drawing's layers, bottom to top. Each layer is an
+	 * object `{ id, name, visible, locked, opacity, blendMode }`.
+	 */
+	getLayers = () => this.history.layers;
+
+	/**
+	 * @returns {Object} the layer new strokes, shapes, texts and fills are
+	 * added to. Without an active layer (e.g. after it was removed), it's the
+	 * top-most one.
+	 */
+	getActiveLayer = () => {
+		const layers = this.getLayers();
+		return this.getLayer(this.activeLayer) || layers[layers.length - 1];
+	};
+
+	setActiveLayer = (id) => {
+		this.activeLayer = this.requireLayer(id).id;
+	};
+
+	/**
+	 * Adds a layer above the active layer and makes it the active one.
+	 * @param {Object} properties the layer's name, visible, locked, opacity
+	 * (0-1) and blendMode (see BLEND_MODES in layers.js), if not the defaults.
+	 * @returns {Object} the new layer.
+	 */
+	addLayer = (properties = {}) => {
+		validateLayerChanges(properties);
+		const layers = this.getLayers();
+		const layer = createLayer(layers, properties);
+		const index = layers.indexOf(this.getActiveLayer()) + 1;
+		this.changeLayers('addLayer', [
+			...layers.slice(0, index),
+			layer,
+			...layers.slice(index),
+		]);
+		this.activeLayer = layer.id;
+		return layer;
+	};
+
+	/**
+	 * Removes a layer and everything on it as one undoable step. The last
+	 * layer can't be removed.
+	 */
+	removeLayer = (id) => {
+		const layer = this.requireLayer(id);
+		const layers = this.getLayers();
+		if (layers.length === 1) {
+			throw new Error("The drawing's last layer can't be removed!");
+		}
+
+		const command = this.history.execute(
+			new BatchCommand({
+				type: 'removeLayer',
+				commands: [
+					removeOperations(
+						this.operations,
+						this.operations.filter((operation) => operation.layer === id)
+					),
+					new LayersCommand({
+						type: 'removeLayer',
+						before: layers,
+						after: layers.filter((other) => other !== layer),
+					}),
+				],
+			})
+		);
+		this.redrawDrawing();
+		this.triggerOnChange(command);
+	};
+
+	/**
+	 * Moves a layer to the given position in the list returned by getLayers,
+	 * 0 being the bottom.
+	 */
+	moveLayer = (id, index) => {
+		const layer = this.requireLayer(id);
+		const layers = this.getLayers().filter((other) => other !== layer);
+		layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+		this.changeLayers('moveLayer', layers);
+	};
+
+	/**
+	 * Changes a layer's name, visible, locked, opacity or blendMode as one
+	 * undoable step. Hidden and locked layers can't be drawn on or selected
+	 * from.
+	 */
+	updateLayer = (id, changes) => {
+		validateLayerChanges(changes);
+		const layer = this.requireLayer(id);
+		this.changeLayers(
+			'updateLayer',
+			this.getLayers().map((other) =>
+				other === layer ? { ...layer, ...changes, id } : other
+			)
+		);
 	};
 
 	clearCanvasExposed = () => {
-		this.pushToUndoQueue();
-		this.imageData = null;
-		this.clear();
+		this.eraseAll();
 	};
+
 	clear = () => {
-		this.erasedLines = [];
-		this.clearExceptErasedLines();
+		this.history.reset();
+		this.valuesChanged = true;
+		this.clearWindow(this.ctx.temp);
+		this.redrawDrawing();
 		this.resetView();
 	};
 
@@ -200,228 +554,475 @@ export default class CanvasDraw extends PureComponent {
 		return this.coordSystem.setView(view);
 	};
 
-	getSaveData = () => {
-		// Construct and return the stringified saveData object
-		return JSON.stringify({
-			lines: this.lines,
+	/**
+	 * @returns {Object} the drawing as a plain document object: the object
+	 * that getSaveData stringifies, and the `value` that onChange passes.
+	 */
+	getDocument = () => {
+		return createSaveData({
+			// A copy, the history changes its list in place
+			operations: this.operations.slice(),
+			layers: this.getLayers(),
 			width: this.props.canvasWidth,
 			height: this.props.canvasHeight,
 		});
 	};
 
-	/**
-   * Combination of work by Ernie Arrowsmith and emizz
-   * References:
-   * https://stackoverflow.com/questions/32160098/change-html-canvas-black-background-to-white-background-when-creating-jpg-image
-   * https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toDataURL
-
-   * This function will export the canvas to a data URL, which can subsequently be used to share or manipulate the image file.
-   * @param {string} fileType Specifies the file format to export to. Note: should only be the file type, not the "image/" prefix.
-   *  For supported types see https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toDataURL
-   * @param {bool} useBgImage Specifies whether the canvas' current background image should also be exported. Default is false.
-   * @param {string} backgroundColour The desired background colour hex code, e.g. "#ffffff" for white.
-   */
-	getDataURL = (fileType, useBgImage, backgroundColour) => {
-		// Get a reference to the "drawing" layer of the canvas
-		let canvasToExport = this.canvas.drawing;
-		const imageData1 = this.ctx.drawing.getImageData(
-			0,
-			0,
-			this.ctx.drawing.canvas.width,
-			this.ctx.drawing.canvas.height
-		);
-		this.white2transparent(this.ctx.drawing, imageData1);
-		let context = canvasToExport.getContext('2d');
-
-		//cache height and width
-		let width = canvasToExport.width;
-		let height = canvasToExport.height;
+	getSaveData = () => {
+		// Construct and return the stringified saveData object
+		return JSON.stringify(this.getDocument());
+	};
 
-		//get the current ImageData for the canvas
-		let storedImageData = context.getImageData(0, 0, width, height);
+	/**
+	 * Exports the canvas to a data URL, which can subsequently be used to share
+	 * or manipulate the image file. The image shows the current view, composed
+	 * of the chosen layers on an offscreen canvas.
+	 * @param {string} fileType Specifies the file format to export to, "png" by default. Note: should only be the file type, not the "image/" prefix.
+	 *  For supported types see https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toDataURL
+	 * @param {Object} options
+	 * @param {string[]} options.layers the layers to include: "background",
+	 * "image" (imgSrc), "grid", "drawing" and "silhouette". They are always
+	 * stacked in this order. By default the drawing and the silhouette.
+	 * @param {string} options.backgroundColor the color of the "background"
+	 * layer, by default the backgroundColor prop.
+	 * @param {string} options.resolution "css" (the default) to export one
+	 * pixel per CSS pixel of the canvas, or "device" for the pixels it has on
+	 * screen (see the pixelRatio prop).
+	 *
+	 * The options may also be given the old way, as the arguments
+	 * `useBgImage, backgroundColour, resolution`.
+	 */
+	getDataURL = (fileType = 'png', ...options) => {
+		const {
+			layers = ['drawing', 'silhouette'],
+			backgroundColor = this.props.backgroundColor,
+			resolution = 'css',
+		} = typeof options[0] === 'object' && options[0] !== null
+			? options[0]
+			: this.legacyExportOptions(...options);
+		const pixelRatio = this.exportPixelRatio(resolution);
+
+		const canvas = this.composeLayers(layers, backgroundColor);
+		return (pixelRatio === this.coordSystem.pixelRatio
+			? canvas
+			: this.resampleCanvas(canvas, this.canvasSize)
+		).toDataURL(`image/${fileType}`);
+	};
 
-		//store the current globalCompositeOperation
-		var compositeOperation = context.globalCompositeOperation;
+	/**
+	 * Renders the drawing again at any resolution and exports it as an image,
+	 * e.g. for printing. Unlike getDataURL, the image doesn't depend on the
+	 * canvas' pixels or on the current pan and zoom.
+	 * @param {Object} options
+	 * @param {number} options.scale the image pixels per document unit (a CSS
+	 * pixel of the unzoomed canvas), 1 by default.
+	 * @param {Object} options.region the `{ x, y, width, height }` of the
+	 * document to export, by default all of it.
+	 * @param {boolean} options.trimToContent whether to crop the region to
+	 * what's drawn in it.
+	 * @param {number} options.padding the space to add around the region (or
+	 * the content), in document units.
+	 * @param {string} options.background a CSS color to fill the image with,
+	 * transparent by default.
+	 * @param {string} options.type the image's MIME type, "image/png" by
+	 * default.
+	 * @param {number} options.quality the quality (0-1) of JPEG and WebP
+	 * images.
+	 * @returns {Promise<Blob>} the image. Rejects if the options are invalid
+	 * or there is nothing to export.
+	 */
+	exportImage = ({
+		scale = 1,
+		region,
+		trimToContent = false,
+		padding = 0,
+		background,
+		type = 'image/png',
+		quality,
+	} = {}) => {
+		if (!(scale > 0)) {
+			return Promise.reject(
+				new Error(`Export scale ${scale} needs to be a positive number!`)
+			);
+		}
+		const { canvasWidth, canvasHeight } = this.props;
+		const area = region || { x: 0, y: 0, width: canvasWidth, height: canvasHeight };
+		if (!(area.width > 0 && area.height > 0)) {
+			return Promise.reject(
+				new Error('The export region needs a positive width and height!')
+			);
+		}
 
-		//set to draw behind current content
-		context.globalCompositeOperation = 'destination-over';
+		return Promise.resolve()
+			.then(() => (trimToContent ? this.contentBounds(area) : area))
+			.then((bounds) => {
+				if (!bounds) throw new Error('There is nothing drawn to export!');
+
+				const x = bounds.x - padding;
+				const y = bounds.y - padding;
+				const ctx = document.createElement('canvas').getContext('2d');
+				ctx.canvas.width = Math.max(1, Math.round((bounds.width + padding * 2) * scale));
+				ctx.canvas.height = Math.max(1, Math.round((bounds.height + padding * 2) * scale));
+				if (background) {
+					ctx.fillStyle = background;
+					ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+				}
+				ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+				renderLayers(ctx, this.getLayers(), this.operations);
+				this.drawSilhouetteImage(ctx);
+
+				return new Promise((resolve, reject) =>
+					ctx.canvas.toBlob(
+						(blob) =>
+							blob
+								? resolve(blob)
+								: reject(new Error(`The image could not be encoded as ${type}!`)),
+						type,
+						quality
+					)
+				);
+			});
+	};
 
-		// If "useBgImage" has been set to true, this takes precedence over the background colour parameter
-		if (useBgImage) {
-			if (!this.props.imgSrc) return 'Background image source not set';
+	/**
+	 * Exports the drawing as a standalone SVG document of vector paths, so it
+	 * stays sharp when printed or scaled.
+	 * @returns {string} the SVG markup.
+	 */
+	getSVG = () => {
+		return operationsToSVG({
+			operations: this.operations,
+			layers: this.getLayers(),
+			width: this.props.canvasWidth,
+			height: this.props.canvasHeight,
+		});
+	};
 
-			// Write the background image
-			this.drawImage();
-		} else if (backgroundColour != null) {
-			//set background color
-			context.fillStyle = backgroundColour;
+	/**
+	 * @returns {Blob} the result of getSVG as an "image/svg+xml" Blob, e.g. for
+	 * downloads or uploads.
+	 */
+	getSVGBlob = () => {
+		return new Blob([this.getSVG()], { type: 'image/svg+xml' });
+	};
 
-			//fill entire canvas with background colour
-			context.fillRect(0, 0, width, height);
+	/**
+	 * Encodes how the drawing was drawn as an animated image, e.g. to share
+	 * it: the playback (see getPlayback) is rendered offscreen frame by frame,
+	 * letting the page respond in between. The last frame, the whole drawing,
+	 * is shown for a second before the animation starts over.
+	 * @param {Object} options
+	 * @param {string} options.format "gif" (the default) or "apng".
+	 * @param {number} options.fps the frames per second, 10 by default.
+	 * @param {number} options.duration the length of the animation in
+	 * milliseconds, by default the time the drawing took to draw. The drawing
+	 * is played faster or slower to fit.
+	 * @param {Object} options.size the `{ width, height }` of the animation in
+	 * pixels. With only one of them, the other keeps the canvas' aspect ratio.
+	 * @param {string} options.resolution without a size, "css" (the default)
+	 * for the canvas size in CSS pixels or "device" for the pixels it has on
+	 * screen.
+	 * @returns {Promise<Blob>} an "image/gif" or "image/apng" Blob. Rejects if
+	 * the options are invalid.
+	 */
+	exportAnimation = ({
+		format = 'gif',
+		fps = 10,
+		duration,
+		size,
+		resolution = 'css',
+	} = {}) => {
+		const animationFormat = animationFormats[format];
+		if (!animationFormat) {
+			return Promise.reject(new Error(`Unknown animation format "${format}"!`));
+		}
+		if (!(fps > 0)) {
+			return Promise.reject(
+				new Error(`Animation fps ${fps} needs to be a positive number!`)
+			);
+		}
+		if (!(duration === undefined || duration >= 0)) {
+			return Promise.reject(
+				new Error(`Animation duration ${duration} needs to be 0 ms or more!`)
+			);
+		}
+		let pixelRatio;
+		try {
+			pixelRatio = this.exportPixelRatio(resolution);
+		} catch (error) {
+			return Promise.reject(error);
 		}
 
-		// If the file type has not been specified, default to PNG
-		if (!fileType) fileType = 'png';
+		const { canvasWidth, canvasHeight, backgroundColor } = this.props;
+		const widthScale = size && size.width ? size.width / canvasWidth : null;
+		const heightScale =
+			size && size.height ? size.height / canvasHeight : null;
+		const scaleX = widthScale || heightScale || pixelRatio;
+		const scaleY = heightScale || widthScale || pixelRatio;
+		const width = Math.round(canvasWidth * scaleX);
+		const height = Math.round(canvasHeight * scaleY);
+		const ctx = document.createElement('canvas').getContext('2d');
+		ctx.canvas.width = width;
+		ctx.canvas.height = height;
+
+		const layers = this.getLayers();
+		const operations = this.operations.slice();
+		const timeline = createTimeline(operations, this.props.loadTimeOffset);
+		const length = duration === undefined ? timeline.duration : duration;
+		const frameDelay = 1000 / fps;
+		const frameCount = Math.ceil(length / frameDelay);
+		const encoder = new animationFormat.Encoder({ width, height });
+
+		const renderFrame = (index) => {
+			const isLast = index === frameCount;
+			const time = isLast
+				? timeline.duration
+				: (index * frameDelay * timeline.duration) / length;
+			const { count, partial } = timelineAt(timeline, time);
+			ctx.setTransform(1, 0, 0, 1, 0, 0);
+			ctx.clearRect(0, 0, width, height);
+			ctx.fillStyle = backgroundColor;
+			ctx.fillRect(0, 0, width, height);
+			ctx.setTransform(scaleX, 0, 0, scaleY, 0, 0);
+			const finished = operations.slice(0, count);
+			renderLayers(ctx, layers, partial ? finished.concat(partial) : finished);
+			encoder.addFrame(
+				ctx.getImageData(0, 0, width, height).data,
+				isLast ? FINAL_FRAME_DELAY : frameDelay
+			);
+		};
 
-		// Export the canvas to data URL
-		let imageData = canvasToExport.toDataURL(`image/${fileType}`);
+		let rendered = Promise.resolve();
+		for (let index = 0; index <= frameCount; index++) {
+			rendered = rendered
+				.then(() => new Promise((resolve) => setTimeout(resolve)))
+				.then(() => renderFrame(index));
+		}
+		return rendered.then(
+			() => new Blob([encoder.finish()], { type: animationFormat.type })
+		);
+	};
 
-		//clear the canvas
-		context.clearRect(0, 0, width, height);
+	/**
+	 * Enlarges the image by the given integer factor, repeating every pixel.
+	 * @deprecated exportImage renders the drawing at any scale instead.
+	 * @returns {ImageData} the enlarged image, created with the given context.
+	 */
+	scaleImageData(c, imageData, scale) {
+		const { width, height, data } = imageData;
+		const result = pixelOperations.scaleImageData({ width, height, data }, scale);
+		const scaled = c.createImageData(result.width, result.height);
+		scaled.data.set(result.data);
+		return scaled;
+	}
 
-		//restore it with original / cached ImageData
-		context.putImageData(storedImageData, 0, 0);
+	/**
+	 * Like scaleImageData, but copies the pixels in a Web Worker where
+	 * available.
+	 * @deprecated exportImage renders the drawing at any scale instead.
+	 * @returns {Promise<ImageData>} the enlarged image, created with the given
+	 * context.
+	 */
+	scaleImageDataAsync(c, imageData, scale) {
+		const { width, height, data } = imageData;
+		return runPixelOperation('scaleImageData', [
+			{ width, height, data },
+			scale,
+		]).then((result) => {
+			const scaled = c.createImageData(result.width, result.height);
+			scaled.data.set(result.data);
+			return scaled;
+		});
+	}
 
-		//reset the globalCompositeOperation to what it was
-		context.globalCompositeOperation = compositeOperation;
+	loadSaveData = (saveData, immediate = true) => {
+		this.loadDocument(parseSaveData(saveData), immediate);
+	};
 
-		return imageData;
+	/**
+	 * @returns {PlaybackController} a controller that plays the drawing back
+	 * in the rhythm it was drawn in, with `play()`, `pause()`, `seek(ms)` and
+	 * `setSpeed(x)` (see playback.js). The onPlaybackProgress prop is called
+	 * as it plays. Any change to the drawing ends the playback and shows the
+	 * whole drawing again; the next call returns a new controller.
+	 */
+	getPlayback = () => {
+		if (!this.playback) {
+			const playback = new PlaybackController({
+				timeline: createTimeline(
+					this.operations.slice(),
+					this.props.loadTimeOffset
+				),
+				render: (count, partial) =>
+					this.renderPlayback(playback, count, partial),
+				onProgress: (progress) =>
+					this.triggerEvent('onPlaybackProgress', progress),
+			});
+			this.playback = playback;
+		}
+		return this.playback;
 	};
-	scaleImageData(c, imageData, scale) {
-		console.log('SCALE IS ' + scale);
-		var scaled = c.createImageData(
-			imageData.width * scale,
-			imageData.height * scale
-		);
 
-		for (var row = 0; row < imageData.height; row++) {
-			for (var col = 0; col < imageData.width; col++) {
-				var sourcePixel = [
-					imageData.data[(row * imageData.width + col) * 4 + 0],
-					imageData.data[(row * imageData.width + col) * 4 + 1],
-					imageData.data[(row * imageData.width + col) * 4 + 2],
-					imageData.data[(row * imageData.width + col) * 4 + 3],
-				];
-				for (var y = 0; y < scale; y++) {
-					var destRow = row * scale + y;
-					for (var x = 0; x < scale; x++) {
-						var destCol = col * scale + x;
-						for (var i = 0; i < 4; i++) {
-							scaled.data[(destRow * scaled.width + destCol) * 4 + i] =
-								sourcePixel[i];
-						}
-					}
-				}
-			}
+	/**
+	 * Shows another author's pointer and stroke in progress, as sent through
+	 * the transport (see presence.js). A message with neither removes them.
+	 */
+	applyRemotePresence = (message) => {
+		const { author } = message;
+		const presence = mergePresence(this.remotePresence[author], message);
+		if (presence.pointer || presence.stroke) {
+			this.remotePresence[author] = presence;
+		} else {
+			delete this.remotePresence[author];
 		}
+		this.valuesChanged = true;
+	};
 
-		return scaled;
-	}
+	/**
+	 * Merges a change by another author into the drawing: an entry of the
+	 * operation log (see collaboration.js) as sent through the transport.
+	 * Stale changes are ignored, and remote changes can't be undone here.
+	 */
+	applyRemoteOperation = (entry) => {
+		const layers = this.getLayers();
+		const { operation } = entry;
+		// Layers aren't shared; operations on unknown ones go on the bottom one
+		const merged =
+			operation && !this.getLayer(operation.layer)
+				? { ...entry, operation: { ...operation, layer: layers[0].id } }
+				: entry;
+		const changes = this.operationLog.merge(this.operations, merged);
+		if (!changes) return;
+
+		this.stopPlayback();
+		this.loadBrushImages(changes.added);
+		const [added] = changes.added;
+		if (!changes.removed.length && added === this.operations[this.operations.length - 1]) {
+			renderOperation(this.getLayerContext(added.layer), added);
+			this.compositeDrawing();
+		} else {
+			this.redrawDrawing();
+		}
+		this.props.onChange &&
+			this.props.onChange(this.getDocument(), { type: 'remote', ...changes });
+	};
 
-	white2transparent(context, imgData) {
-		let pix = imgData.data;
+	///// private API ////////////////////////////////////////////////////////////
 
-		// Loops through all of the pixels and modifies the components.
-		for (var i = 0, n = pix.length; i < n; i += 4) {
-			if (pix[i] == 255 && pix[i + 1] == 255 && pix[i + 2] == 255) {
-				//pixel is white
-				pix[i + 3] = 0;
-				// console.log("FOUND WHITE PIXELS")
-			} else {
-				//pixel is not white, modify it.
-				// console.log("NOP  WHITE PIXELS")
-			}
-			//pix[i+3] is the transparency.
-		}
+	///// Documents
 
-		context.putImageData(imgData, 0, 0);
-	}
-	loadSaveData = (saveData, immediate = true) => {
-		this.clear();
+	/**
+	 * @returns {Object[]} the operations of a validated document, on the
+	 * bottom layer if saved without layers, and fitted to the canvas size.
+	 */
+	documentOperations = ({ operations, layers, width, height }) => {
+		const scaleX = this.props.canvasWidth / width;
+		const scaleY = this.props.canvasHeight / height;
+		return operations.map((operation) => {
+			const onLayer = operation.layer
+				? operation
+				: { ...operation, layer: layers[0].id };
+			return scaleX === 1 && scaleY === 1
+				? onLayer
+				: scaleOperation(onLayer, scaleX, scaleY);
+		});
+	};
 
-		if (!this.imageData) return;
+	loadDocument = (data, immediate = true) => {
+		const { layers } = data;
+		const operations = this.documentOperations(data);
 
-		this.ctx.drawing.putImageData(this.imageData, 0, 0);
-		this.drawSilhouetteImage();
-		// this.ctx.drawing.beginPath();
-		// this.ctx.drawing.strokeStyle = '#000000';
-		// this.ctx.drawing.fillStyle = '#000000';
-		// this.ctx.drawing.fillRect(
-		// 	0,
-		// 	0,
-		// 	this.ctx.drawing.canvas.width,
-		// 	this.ctx.drawing.canvas.height
-		// );
-
-		// this.ctx.drawing.stroke();
-		// this.ctx.drawing.closePath();
-		// this.ctx.drawing.putImageData(this.imageData, 0, 0);
-
-		// const pointer = this.lazy.getPointerCoordinates();
-		// this.drawInterface(this.ctx.interface, { x: this.lastX, y: this.lastY, gab: true });
-		return;
-
-		if (typeof saveData !== 'string') {
-			throw new Error('saveData needs to be of type string!');
-		}
-
-		const { lines, width, height } = JSON.parse(saveData);
-
-		if (!lines || typeof lines.push !== 'function') {
-			throw new Error('saveData.lines needs to be an array!');
-		}
-		const imageData = this.ctx.drawing.getImageData(
-			0,
-			0,
-			this.ctx.drawing.canvas.width,
-			this.ctx.drawing.canvas.height
-		);
+		this.stopPlayback();
 		this.clear();
-		if (this.imageData) this.ctx.drawing.putImageData(imageData, 0, 0);
-		if (
-			width === this.props.canvasWidth &&
-			height === this.props.canvasHeight
-		) {
-			this.simulateDrawingLines({
-				lines,
-				immediate,
-			});
+		this.history.reset(operations, layers);
+		this.activeLayer = layers[layers.length - 1].id;
+		this.operationLog.observe(operations);
+		this.loadBrushImages(operations);
+		if (immediate) {
+			this.redrawDrawing();
 		} else {
-			// we need to rescale the lines based on saved & current dimensions
-			const scaleX = this.props.canvasWidth / width;
-			const scaleY = this.props.canvasHeight / height;
-			const scaleAvg = (scaleX + scaleY) / 2;
-
-			this.simulateDrawingLines({
-				lines: lines.map((line) => ({
-					...line,
-					points: line.points.map((p) => ({
-						x: p.x * scaleX,
-						y: p.y * scaleY,
-					})),
-					brushRadius: line.brushRadius * scaleAvg,
-				})),
-				immediate,
-			});
+			// Draw it live, from an empty canvas
+			const playback = this.getPlayback();
+			playback.seek(0);
+			playback.play();
 		}
+	};
 
-		//	this.reDrawShapes();
+	/**
+	 * Brings the drawing up to date with the value prop as one undoable step.
+	 * Only the operations that differ from the drawing's are drawn: new ones
+	 * at the end on top of their layers, others by redrawing just the layers
+	 * they were or are on. Changed layers redraw the whole drawing. The value
+	 * the drawing last passed to onChange changes nothing.
+	 */
+	applyValue = (value) => {
+		const data = validateSaveData(value);
+		const operations = this.documentOperations(data);
+		const commands = [];
+		const layersChanged =
+			JSON.stringify(data.layers) !== JSON.stringify(this.getLayers());
+		if (layersChanged) {
+			commands.push(
+				new LayersCommand({
+					type: 'value',
+					before: this.getLayers(),
+					after: data.layers,
+				})
+			);
+		}
+		const splice = diffOperations(this.operations, operations, 'value');
+		this.operationLog.observe(operations);
+		if (splice) commands.push(splice);
+		if (!commands.length) return;
+
+		this.stopPlayback();
+		this.history.execute(new BatchCommand({ type: 'value', commands }));
+		this.loadBrushImages(splice ? splice.inserted : []);
+		const isAppended =
+			splice &&
+			!splice.removed.length &&
+			splice.index + splice.inserted.length === this.operations.length;
+		if (layersChanged) {
+			this.redrawDrawing();
+		} else if (isAppended) {
+			splice.inserted.forEach((operation) =>
+				renderOperation(this.getLayerContext(operation.layer), operation)
+			);
+			this.compositeDrawing();
+		} else {
+			const layerIds = splice.removed
+				.concat(splice.inserted)
+				.map(({ layer }) => layer);
+			this.redrawDrawing(
+				layerIds.filter((id, index) => layerIds.indexOf(id) === index)
+			);
+		}
 	};
 
-	///// private API ////////////////////////////////////////////////////////////
 
 	///// React Lifecycle
 
 	componentDidMount() {
 		this.lazy = new LazyBrush({
-			radius: this.props.lazyRadius * window.devicePixelRatio,
+			radius: this.props.lazyRadius,
 			enabled: true,
 			initialPoint: {
 				x: window.innerWidth / 2,
 				y: window.innerHeight / 2,
 			},
 		});
-		this.chainLength = this.props.lazyRadius * window.devicePixelRatio;
+		this.chainLength = this.props.lazyRadius;
 
 		this.canvasObserver = new ResizeObserver((entries, observer) =>
 			this.handleCanvasResize(entries, observer)
 		);
 		this.canvasObserver.observe(this.canvasContainer);
+		this.watchPixelRatio();
 
 		this.drawImage();
+		this.loadSilhouetteImage();
 
 		this.loop();
-		this.drawSilhouetteImage();
 		window.setTimeout(() => {
 			const initX = window.innerWidth / 2;
 			const initY = window.innerHeight / 2;
@@ -435,13 +1036,18 @@ export default class CanvasDraw extends PureComponent {
 			);
 			this.mouseHasMoved = true;
 			this.valuesChanged = true;
-			this.clearExceptErasedLines();
+			this.redrawDrawing();
+
+			this.loadBrushImages([{ brush: this.props.brush }]);
 
 			// Load saveData from prop if it exists
 			if (this.props.saveData) {
 				this.loadSaveData(this.props.saveData);
 			}
-			this.drawSilhouetteImage();
+			const initialValue = this.props.value || this.props.defaultValue;
+			if (initialValue) {
+				this.loadDocument(validateSaveData(initialValue));
+			}
 		}, 100);
 
 		// Attach our wheel event listener here instead of in the render so that we can specify a non-passive listener.
@@ -453,21 +1059,51 @@ export default class CanvasDraw extends PureComponent {
 				this.handleWheel,
 				makePassiveEventOption()
 			);
+		this.subscribeTransport();
 	}
 
 	componentDidUpdate(prevProps) {
-		this.drawSilhouetteImage();
-		console.log('PROP UPDATE MOUSEDOWN ' + this.props.trueMouseDown);
 		if (prevProps.lazyRadius !== this.props.lazyRadius) {
 			// Set new lazyRadius values
-			this.chainLength = this.props.lazyRadius * window.devicePixelRatio;
-			this.lazy.setRadius(this.props.lazyRadius * window.devicePixelRatio);
+			this.chainLength = this.props.lazyRadius;
+			this.lazy.setRadius(this.props.lazyRadius);
 		}
 
-		if (prevProps.saveData !== this.props.saveData) {
+		if (prevProps.saveData !== this.props.saveData && this.props.saveData) {
 			this.loadSaveData(this.props.saveData);
 		}
 
+		if (prevProps.value !== this.props.value && this.props.value) {
+			this.applyValue(this.props.value);
+		}
+
+		if (prevProps.brush !== this.props.brush) {
+			this.loadBrushImages([{ brush: this.props.brush }]);
+		}
+
+		if (prevProps.historyDepth !== this.props.historyDepth) {
+			this.history.maxDepth = this.props.historyDepth;
+		}
+
+		if (prevProps.author !== this.props.author && this.props.author) {
+			this.operationLog.author = this.props.author;
+		}
+
+		if (prevProps.transport !== this.props.transport) {
+			this.subscribeTransport();
+		}
+
+		this.presenceSender.interval = this.props.presenceInterval;
+
+		if (prevProps.tool === 'Select' && this.props.tool !== 'Select') {
+			this.clearSelection();
+		}
+
+		if (prevProps.tool !== this.props.tool) {
+			this.cancelPath();
+			this.commitText();
+		}
+
 		if (JSON.stringify(prevProps) !== JSON.stringify(this.props)) {
 			// Signal this.loop function that values changed
 			this.valuesChanged = true;
@@ -482,13 +1118,28 @@ export default class CanvasDraw extends PureComponent {
 			this.drawImage();
 		}
 
+		if (prevProps.pixelRatio !== this.props.pixelRatio) {
+			this.watchPixelRatio();
+			this.updatePixelRatio();
+		}
+
+		if (prevProps.silhouetteImage !== this.props.silhouetteImage) {
+			this.loadSilhouetteImage();
+		}
+
 		// console.log("IMG URL " + this.getDataURL('png', false, null));
 	}
 
 	componentWillUnmount = () => {
+		this.playback && this.playback.pause();
 		this.canvasObserver.unobserve(this.canvasContainer);
+		this.unwatchPixelRatio && this.unwatchPixelRatio();
 		this.canvas.interface &&
 			this.canvas.interface.removeEventListener('wheel', this.handleWheel);
+		this.unsubscribeTransport && this.unsubscribeTransport();
+		// Tell the others that we left
+		this.presenceSender.update({ pointer: null, stroke: null });
+		this.presenceSender.flush();
 	};
 
 	render() {
@@ -502,12 +1153,17 @@ export default class CanvasDraw extends PureComponent {
 					width: this.props.canvasWidth,
 					height: this.props.canvasHeight,
 					...this.props.style,
+					cursor: this.state.spacePanning ? 'grab' : undefined,
 				}}
 				ref={(container) => {
 					if (container) {
 						this.canvasContainer = container;
 					}
 				}}
+				tabIndex={this.props.keyboardShortcuts ? 0 : undefined}
+				onKeyDown={this.props.keyboardShortcuts ? this.handleShortcutKeyDown : undefined}
+				onKeyUp={this.props.keyboardShortcuts ? this.handleShortcutKeyUp : undefined}
+				onBlur={this.props.keyboardShortcuts ? this.stopSpacePanning : undefined}
 			>
 				{canvasTypes.map((name) => {
 					const isInterface = name === 'interface';
@@ -524,21 +1180,124 @@ export default class CanvasDraw extends PureComponent {
 								}
 							}}
 							style={{ ...canvasStyle }}
-							onMouseDown={isInterface ? this.handleMouseDown : undefined}
-							onMouseMove={isInterface ? this.handleDrawMove : undefined}
-							onMouseUp={isInterface ? this.handleMouseUp : undefined}
-							onMouseOut={isInterface ? this.handleMouseOut : undefined}
-							onMouseOver={isInterface ? this.handleMouseOver : undefined} //gab additional listener
-							onTouchStart={isInterface ? this.handleDrawStart : undefined}
-							onTouchMove={isInterface ? this.handleDrawMove : undefined}
-							onTouchEnd={isInterface ? this.handleDrawEnd : undefined}
-							onTouchCancel={isInterface ? this.handleDrawEnd : undefined}
+							onPointerDown={isInterface ? this.handlePointerDown : undefined}
+							onPointerMove={isInterface ? this.handlePointerMove : undefined}
+							onPointerUp={isInterface ? this.handlePointerUp : undefined}
+							onPointerCancel={isInterface ? this.handlePointerCancel : undefined}
+							onPointerLeave={isInterface ? this.handlePointerLeave : undefined}
+							onPointerEnter={isInterface ? this.handlePointerEnter : undefined}
 						/>
 					);
 				})}
+				{this.state.textEditor && this.renderTextEditor()}
+			</div>
+		);
+	}
+
+	/**
+	 * Renders the Text tool's editor on top of the text's position on the
+	 * canvas, scaled and rotated like the text.
+	 */
+	renderTextEditor() {
+		const { operation } = this.state.textEditor;
+		const zoom = this.coordSystem.scale / this.props.scale;
+		const { clientX, clientY } = this.coordSystem.viewPointToClientPoint({
+			x: operation.x / this.props.scale,
+			y: operation.y / this.props.scale,
+		});
+		const canvasRect = this.canvas.interface.getBoundingClientRect();
+		const box = textBox({
+			...operation,
+			width: this.measureTextWidth(operation),
+		});
+		// Leave room for the next character
+		const width = (box.width + operation.fontSize) * zoom;
+		const originX = width * (TEXT_ALIGN_OFFSETS[operation.textAlign] || 0);
+
+		return (
+			<div style={{ position: 'absolute' }}>
+				<textarea
+					ref={(textarea) => textarea && textarea.focus()}
+					value={operation.text}
+					onChange={(e) => this.updateText(e.target.value)}
+					onBlur={this.commitText}
+					onKeyDown={this.handleTextKeyDown}
+					spellCheck={false}
+					wrap="off"
+					style={{
+						position: 'absolute',
+						left: clientX - canvasRect.left - originX,
+						top: clientY - canvasRect.top,
+						width,
+						height: box.height * zoom,
+						transform: operation.rotation
+							? `rotate(${operation.rotation}rad)`
+							: undefined,
+						transformOrigin: `${originX}px 0`,
+						margin: 0,
+						padding: 0,
+						border: 'none',
+						outline: `1px dashed ${SELECTION_COLOR}`,
+						background: 'transparent',
+						resize: 'none',
+						overflow: 'hidden',
+						whiteSpace: 'pre',
+						font: textFont({ ...operation, fontSize: operation.fontSize * zoom }),
+						lineHeight: TEXT_LINE_HEIGHT,
+						color: operation.color,
+						textAlign: operation.textAlign,
+					}}
+				/>
 			</div>
 		);
 	}
+	handlePointerDown = (e) => {
+		const input = this.pointerTracker.track(e, this);
+		if (!input) return;
+		// Clicking the canvas moves the keyboard focus to its shortcuts
+		if (this.props.keyboardShortcuts) {
+			this.canvasContainer.focus({ preventScroll: true });
+		}
+		// Only the first finger uses the tool; further fingers pinch and pan
+		if (e.isPrimary && !input.navigates && !this.state.spacePanning) {
+			this.handleMouseDown(input);
+		} else {
+			this.handleDrawStart(input);
+		}
+	};
+
+	handlePointerMove = (e) => {
+		const input = this.pointerTracker.track(e, this);
+		if (input) this.handleDrawMove(input);
+	};
+
+	handlePointerUp = (e) => {
+		const input = this.pointerTracker.track(e, this);
+		if (!input) return;
+		if (e.isPrimary && !input.navigates) {
+			this.handleMouseUp(input);
+		} else {
+			this.handleDrawEnd(input);
+		}
+	};
+
+	handlePointerCancel = (e) => {
+		const input = this.pointerTracker.track(e, this);
+		if (input) this.handleDrawEnd(input);
+	};
+
+	// Fingers stay on the canvas that they touched first, like touch events
+	handlePointerLeave = (e) => {
+		const input = e.pointerType !== 'touch' && this.pointerTracker.track(e, this);
+		if (input) this.handleMouseOut(input);
+		this.sharePresence(null);
+	};
+
+	handlePointerEnter = (e) => {
+		const input = e.pointerType !== 'touch' && this.pointerTracker.track(e, this);
+		if (input) this.handleMouseOver(input);
+	};
+
 	handleMouseOut = (e) => {
 		if (this.props.disabled) return;
 		if (this.props.tool != 'Pencil' && this.props.tool != 'Eraser')
@@ -550,44 +1309,54 @@ export default class CanvasDraw extends PureComponent {
 
 	handleMouseOver = (e) => {
 		if (this.props.disabled) return;
-		console.log('TRUE MOUSE STATE ' + this.props.trueMouseDown);
 		if (
 			(this.props.trueMouseDown && this.props.tool == 'Pencil') ||
 			this.props.tool == 'Eraser'
 		) {
-			let clientX = e.clientX;
-			let clientY = e.clientY;
-			console.log('XY ' + clientX, clientY);
 			const shouldStartAtEdge = true;
 			this.handleDrawStart(e, shouldStartAtEdge);
 		}
 	};
 	handleMouseDown = (e) => {
 		if (this.props.disabled) return;
-		console.log('SET MOUSE DOWN');
 		let { x, y } = viewPointFromEvent(this.coordSystem, e);
 		x = x * this.props.scale;
 		y = y * this.props.scale;
 
+		// Hidden and locked layers can't be drawn on (but panning still works)
+		if (this.props.tool !== 'Select' && !this.canDrawOnActiveLayer()) {
+			this.handleDrawStart(e);
+			return;
+		}
+
 		if (this.props.tool === 'FloodFill') {
-			// get 2d context
-			const context = this.ctx.drawing;
-			// get image data
-			this.floodFill(
-				context,
-				Math.round(x),
-				Math.round(y),
-				this.props.brushColor
+			const point = { x: Math.round(x), y: Math.round(y) };
+			this.floodFill(point.x, point.y, this.props.brushColor).catch((error) =>
+				this.props.onError
+					? this.triggerEvent('onError', { error, ...point })
+					: console.error(error)
 			);
 		}
 
-		if (this.props.tool === 'Rectangle' || this.props.tool === 'Circle') {
-			this.pushToUndoQueue();
+		if (dragShapeTools.indexOf(this.props.tool) !== -1) {
 			this.isDrawingShape = true;
-			console.log('ok');
-			console.log('Start x at ' + x);
 			this.shapeStartX = x;
 			this.shapeStartY = y;
+			this.lastX = x;
+			this.lastY = y;
+		}
+
+		if (pathTools.indexOf(this.props.tool) !== -1) {
+			this.addPathPoint({ x, y });
+		}
+
+		if (this.props.tool === 'Text') {
+			// Clicking outside of the editor closes it
+			if (this.isEditingText) {
+				this.commitText();
+			} else {
+				this.openTextEditor({ x, y });
+			}
 		}
 		// this.isMouseDown = true;
 		this.handleDrawStart(e);
@@ -595,107 +1364,204 @@ export default class CanvasDraw extends PureComponent {
 	handleMouseUp = (e) => {
 		if (this.props.disabled) return;
 
-		console.log('GOT IMAGE DATA');
 		if (this.isDrawingShape) {
 			this.lazy.update({ x: this.lastX, y: this.lastY });
+			this.clearWindow(this.ctx.temp);
+			this.commitShape(this.getShapeOperation());
 		}
-
 		this.isDrawingShape = false;
-		if (this.props.tool === 'Rectangle') {
-			this.rectangles.push({
-				shape: {
-					x: this.shapeStartX,
-					y: this.shapeStartY,
-					width: this.lastX - this.shapeStartX,
-					height: this.lastY - this.shapeStartY,
-				},
-				brushColor: this.props.brushColor,
-				brushRadius: this.props.brushRadius,
-				fillShape: this.props.fillShape,
-			});
-		}
-		if (this.props.tool === 'Circle') {
-			const radius = Math.abs(this.lastX - this.shapeStartX);
-			this.circles.push({
-				shape: {
-					x: this.shapeStartX + radius / 2,
-					y: this.shapeStartY + radius / 2,
-					radius,
-				},
-				brushColor: this.props.brushColor,
-				brushRadius: this.props.brushRadius,
-				fillShape: this.props.fillShape,
-			});
-		}
 
-		// this.isMouseDown = false;
-		if (this.props.tool === 'Pencil' || this.props.tool === 'Eraser') {
-			console.log('pushing undo');
-			this.pushToUndoQueue();
-		}
-		this.drawSilhouetteImage();
 		this.handleDrawEnd(e);
+	};
 
-		const imageData = this.ctx.drawing.getImageData(
-			0,
-			0,
-			this.ctx.drawing.canvas.width,
-			this.ctx.drawing.canvas.height
-		);
-		this.imageData = imageData;
-	};
-	drawSilhouetteImage = () => {
-		if (this.props.silhouetteImage) {
-			let base_image = new Image();
-			base_image.crossOrigin = "anonymous";
-			const ctx = this.ctx.drawing;
-			base_image.onload = function () {
-				ctx.drawImage(base_image, 0, 0, ctx.canvas.width, ctx.canvas.height);
-			};
-			base_image.src = this.props.silhouetteImage;
+	loadSilhouetteImage = () => {
+		this.silhouette = null;
+		if (!this.props.silhouetteImage) {
+			this.redrawSilhouette();
+			return;
+		}
+
+		const silhouette = new Image();
+		silhouette.crossOrigin = 'anonymous';
+		silhouette.onload = () => {
+			// Ignore images that were replaced while loading
+			if (this.silhouette === silhouette) this.redrawSilhouette();
+		};
+		silhouette.src = this.props.silhouetteImage;
+		this.silhouette = silhouette;
+	};
+
+	drawSilhouetteImage = (ctx = this.ctx.silhouette) => {
+		if (this.silhouette && this.silhouette.complete && this.silhouette.naturalWidth) {
+			const { width, height } = this.canvasSize;
+			ctx.drawImage(this.silhouette, 0, 0, width, height);
 		}
 	};
 
+	/**
+	 * The silhouette lives on its own layer above the drawing, so that the
+	 * eraser never removes its outlines.
+	 */
+	redrawSilhouette = () => {
+		if (!this.ctx.silhouette) return;
+
+		this.clearWindow(this.ctx.silhouette);
+		this.drawSilhouetteImage();
+	};
+
 	///// Event Handlers
 
 	handleWheel = (e) => {
 		this.interactionSM = this.interactionSM.handleMouseWheel(e, this);
 	};
 
-	handleDrawStart = (e, shouldStartAtEdge) => {
-		console.log('mouse down draw');
-
-		this.interactionSM = this.interactionSM.handleDrawStart(
-			e,
-			this,
-			shouldStartAtEdge
-		);
-		this.mouseHasMoved = true;
+	/**
+	 * Finishes the polyline or polygon being drawn with Enter and discards it
+	 * with Escape.
+	 * @returns {boolean} whether the key was used.
+	 */
+	handlePathKeyDown = (e) => {
+		if (!this.pathPoints.length) return false;
+
+		if (e.key === 'Enter') {
+			e.preventDefault();
+			this.finishPath();
+			return true;
+		} else if (e.key === 'Escape') {
+			this.cancelPath();
+			return true;
+		}
+		return false;
 	};
 
-	handleDrawMove = (e) => {
-		if (this.props.disabled) return;
-		this.interactionSM = this.interactionSM.handleDrawMove(e, this);
+	/**
+	 * Deletes the selection with Delete or Backspace and deselects it with
+	 * Escape.
+	 * @returns {boolean} whether the key was used.
+	 */
+	handleSelectionKeyDown = (e) => {
+		if (this.props.tool !== 'Select' || !this.getSelection().length) return false;
+
+		if (e.key === 'Delete' || e.key === 'Backspace') {
+			e.preventDefault();
+			this.deleteSelection();
+			return true;
+		} else if (e.key === 'Escape') {
+			this.clearSelection();
+			return true;
+		}
+		return false;
+	};
+
+	/**
+	 * Runs the keyboard shortcut of the key map (see keyboardShortcuts.js),
+	 * if any, or edits the path being drawn or the selection. Only active with the keyboardShortcuts
+	 * prop, while the canvas has the keyboard focus.
+	 */
+	handleShortcutKeyDown = (e) => {
+		if (this.props.disabled) return;
+		// Leave keys typed into form fields alone
+		const target = e.target || {};
+		if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) {
+			return;
+		}
+		if (this.handlePathKeyDown(e) || this.handleSelectionKeyDown(e)) return;
+
+		const shortcut = createKeyMap(this.props.keyMap)[keyComboFromEvent(e)];
+		if (!shortcut) return;
+		e.preventDefault();
+		if (e.repeat && shortcut === 'pan') return;
+
+		if (shortcut.tool) {
+			this.props.onToolChange && this.props.onToolChange(shortcut.tool);
+			return;
+		}
+
+		const { enablePanAndZoom, brushRadius, onBrushRadiusChange } = this.props;
+		switch (shortcut) {
+			case 'undo':
+				this.undo();
+				break;
+			case 'redo':
+				this.redo();
+				break;
+			case 'pan':
+				// Dragging pans until the key is released
+				if (enablePanAndZoom) this.setState({ spacePanning: true });
+				break;
+			case 'zoomIn':
+			case 'zoomOut':
+				if (enablePanAndZoom) {
+					const factor = shortcut === 'zoomIn' ? KEYBOARD_ZOOM_FACTOR : 1 / KEYBOARD_ZOOM_FACTOR;
+					const { left, top, width, height } = this.canvas.interface.getBoundingClientRect();
+					this.coordSystem.scaleAtClientPoint(
+						this.coordSystem.scale * (factor - 1),
+						{ clientX: left + width / 2, clientY: top + height / 2 }
+					);
+				}
+				break;
+			case 'resetView':
+				if (enablePanAndZoom) this.coordSystem.resetView();
+				break;
+			case 'decreaseBrushSize':
+			case 'increaseBrushSize':
+				onBrushRadiusChange &&
+					onBrushRadiusChange(
+						stepBrushRadius(brushRadius, shortcut === 'increaseBrushSize' ? 1 : -1)
+					);
+				break;
+			default:
+				break;
+		}
+	};
+
+	handleShortcutKeyUp = (e) => {
+		// Modifiers pressed or released meanwhile don't matter
+		const combo = keyComboFromEvent({ key: e.key });
+		if (createKeyMap(this.props.keyMap)[combo] === 'pan') {
+			this.stopSpacePanning();
+		}
+	};
+
+	stopSpacePanning = () => {
+		if (this.state.spacePanning) this.setState({ spacePanning: false });
+	};
+
+	handleDrawStart = (e, shouldStartAtEdge) => {
+		this.stopPlayback();
+		this.interactionSM = this.interactionSM.handleDrawStart(
+			e,
+			this,
+			shouldStartAtEdge
+		);
 		this.mouseHasMoved = true;
+		this.sharePresence(e);
+	};
+
+	handleDrawMove = (e) => {
+		if (this.props.disabled) return;
+		this.interactionSM = this.interactionSM.handleDrawMove(e, this);
+		this.mouseHasMoved = true;
+		this.sharePresence(e);
 	};
 
 	handleDrawEnd = (e) => {
 		if (this.props.disabled) return;
 		this.interactionSM = this.interactionSM.handleDrawEnd(e, this);
 		this.mouseHasMoved = true;
+		// The others see the end of a stroke right away
+		this.sharePresence(e);
+		this.presenceSender.flush();
 	};
 
 	applyView = () => {
-		if (!this.ctx.drawing) {
-			console.log('??');
-			return;
-		}
-		console.log('APPLYING VIEW');
+		if (!this.ctx.drawing) return;
+
 		canvasTypes
 			.map((name) => this.ctx[name])
 			.forEach((ctx) => {
 				this.clearWindow(ctx);
-				const m = this.coordSystem.transformMatrix;
+				const m = this.coordSystem.canvasMatrix;
 				ctx.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
 			});
 
@@ -703,33 +1569,71 @@ export default class CanvasDraw extends PureComponent {
 			this.drawGrid(this.ctx.grid);
 			this.redrawImage();
 			this.loop({ once: true });
-
-			const lines = this.lines;
-			this.lines = [];
-			this.simulateDrawingLines({ lines, immediate: true });
+			this.redrawDrawing();
+			this.redrawSilhouette();
 		}
 	};
 
 	handleCanvasResize = (entries) => {
-		const saveData = this.getSaveData();
+		for (const entry of entries) {
+			const { width, height } = entry.contentRect;
+			this.resizeCanvases(width, height);
+		}
+	};
+
+	/**
+	 * Sizes the canvases to the given size in CSS pixels, backed by as many
+	 * pixels as the screen has there (see getPixelRatio), and draws them
+	 * again.
+	 */
+	resizeCanvases = (width, height) => {
+		this.canvasSize = { width, height };
 		this.deferRedrawOnViewChange = true;
 		try {
-			for (const entry of entries) {
-				const { width, height } = entry.contentRect;
-				this.setCanvasSize(this.canvas.interface, width, height);
-				this.setCanvasSize(this.canvas.drawing, width, height);
-				this.setCanvasSize(this.canvas.temp, width, height);
-				this.setCanvasSize(this.canvas.grid, width, height);
-
-				this.coordSystem.documentSize = { width, height };
-				this.drawGrid(this.ctx.grid);
-				this.drawImage();
-				this.loop({ once: true });
-			}
-			this.loadSaveData(saveData, true);
+			this.coordSystem.pixelRatio = this.getPixelRatio();
+			canvasTypes.forEach((name) =>
+				this.setCanvasSize(this.canvas[name], width, height)
+			);
+			this.coordSystem.documentSize = { width, height };
 		} finally {
 			this.deferRedrawOnViewChange = false;
 		}
+		// Resizing a canvas resets its transform
+		this.applyView();
+	};
+
+	/**
+	 * @returns {number} the number of canvas pixels per CSS pixel: the
+	 * pixelRatio prop, or the screen's.
+	 */
+	getPixelRatio = () => this.props.pixelRatio || window.devicePixelRatio || 1;
+
+	updatePixelRatio = () => {
+		const { width, height } = this.canvasSize;
+		if (this.getPixelRatio() !== this.coordSystem.pixelRatio) {
+			this.resizeCanvases(width, height);
+		}
+	};
+
+	/**
+	 * Resizes the canvases when the screen's pixel ratio changes, e.g. when
+	 * the window moves to another screen or the page is zoomed.
+	 */
+	watchPixelRatio = () => {
+		this.unwatchPixelRatio && this.unwatchPixelRatio();
+		this.unwatchPixelRatio = null;
+		if (this.props.pixelRatio || !window.matchMedia) return;
+
+		const query = window.matchMedia(
+			`(resolution: ${window.devicePixelRatio || 1}dppx)`
+		);
+		const handleChange = () => {
+			// The query only matches the previous ratio
+			this.watchPixelRatio();
+			this.updatePixelRatio();
+		};
+		query.addListener(handleChange);
+		this.unwatchPixelRatio = () => query.removeListener(handleChange);
 	};
 
 	///// Helpers
@@ -746,226 +1650,913 @@ export default class CanvasDraw extends PureComponent {
 	};
 
 	redrawImage = () => {
+		const { width, height } = this.canvasSize;
 		this.image &&
 			this.image.complete &&
-			drawImage({ ctx: this.ctx.grid, img: this.image });
-	};
-
-	simulateDrawingLines = ({ lines, immediate }) => {
-		// Simulate live-drawing of the loaded lines
-		// TODO use a generator
-		let curTime = 0;
-		let timeoutGap = immediate ? 0 : this.props.loadTimeOffset;
-
-		lines.forEach((line) => {
-			const { points, brushColor, brushRadius } = line;
-
-			// Draw all at once if immediate flag is set, instead of using setTimeout
-			if (immediate) {
-				// Draw the points
-				this.drawPoints({
-					points,
-					brushColor,
-					brushRadius,
-				});
-
-				// Save line with the drawn points
-				this.points = points;
-				this.saveLine({ brushColor, brushRadius });
-				return;
-			}
+			drawImage({ ctx: this.ctx.grid, img: this.image, w: width, h: height });
+	};
+
+	setCanvasSize = (canvas, width, height) => {
+		const ratio = this.coordSystem.pixelRatio;
+		canvas.width = Math.round(width * ratio);
+		canvas.height = Math.round(height * ratio);
+		canvas.style.width = `${width}px`;
+		canvas.style.height = `${height}px`;
+	};
+
+	/**
+	 * @returns {HTMLCanvasElement} a copy of the canvas, scaled to the given
+	 * size in pixels.
+	 */
+	resampleCanvas = (canvas, { width, height }) => {
+		const ctx = document.createElement('canvas').getContext('2d');
+		ctx.canvas.width = Math.round(width);
+		ctx.canvas.height = Math.round(height);
+		ctx.drawImage(canvas, 0, 0, ctx.canvas.width, ctx.canvas.height);
+		return ctx.canvas;
+	};
+
+	/**
+	 * @returns {Object} the getDataURL options for its old arguments.
+	 */
+	legacyExportOptions = (useBgImage, backgroundColour, resolution) => {
+		const layers = ['drawing', 'silhouette'];
+		// The background image takes precedence over the background colour
+		if (useBgImage) layers.unshift('image');
+		else if (backgroundColour != null) layers.unshift('background');
+		return { layers, backgroundColor: backgroundColour, resolution };
+	};
 
-			// Use timeout to draw
-			for (let i = 1; i < points.length; i++) {
-				curTime += timeoutGap;
-				window.setTimeout(() => {
-					this.drawPoints({
-						points: points.slice(0, i + 1),
-						brushColor,
-						brushRadius,
-					});
-				}, curTime);
+	/**
+	 * Draws the given layers of the current view (see exportLayers) on a new
+	 * canvas of the size of the on-screen ones, which stay untouched.
+	 * @returns {HTMLCanvasElement} the composed canvas.
+	 */
+	composeLayers = (layers, backgroundColor) => {
+		layers.forEach((name) => {
+			if (!exportLayers.includes(name)) {
+				throw new Error(`Unknown export layer "${name}"!`);
 			}
+		});
+		if (layers.includes('image')) {
+			if (!this.props.imgSrc) {
+				throw new Error('The background image source (imgSrc) is not set!');
+			}
+			if (!this.image || !this.image.complete || !this.image.naturalWidth) {
+				throw new Error('The background image has not loaded yet!');
+			}
+		}
 
-			curTime += timeoutGap;
-			window.setTimeout(() => {
-				// Save this line with its props instead of this.props
-				this.points = points;
-				this.saveLine({ brushColor, brushRadius });
-			}, curTime);
+		const ctx = document.createElement('canvas').getContext('2d');
+		ctx.canvas.width = this.canvas.drawing.width;
+		ctx.canvas.height = this.canvas.drawing.height;
+		const { width, height } = this.canvasSize;
+		const m = this.coordSystem.canvasMatrix;
+		const draw = {
+			background: () => {
+				ctx.fillStyle = backgroundColor;
+				ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+			},
+			image: () => {
+				ctx.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+				drawImage({ ctx, img: this.image, w: width, h: height });
+			},
+			grid: () => {
+				ctx.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+				this.strokeGrid(ctx);
+			},
+			drawing: () => ctx.drawImage(this.canvas.drawing, 0, 0),
+			silhouette: () => ctx.drawImage(this.canvas.silhouette, 0, 0),
+		};
+		exportLayers
+			.filter((name) => layers.includes(name))
+			.forEach((name) => {
+				ctx.setTransform(1, 0, 0, 1, 0, 0);
+				draw[name]();
+			});
+		return ctx.canvas;
+	};
+
+	/**
+	 * @returns {number} the number of exported pixels per CSS pixel for an
+	 * export resolution: "css" or "device" (see getPixelRatio).
+	 */
+	exportPixelRatio = (resolution) => {
+		if (resolution === 'css') return 1;
+		if (resolution === 'device') return this.coordSystem.pixelRatio;
+		throw new Error(`Unknown export resolution "${resolution}"!`);
+	};
+
+	/**
+	 * Shows an operation that is still in progress. Erasing happens directly on
+	 * the drawing layer (re-erasing the same pixels has no further effect),
+	 * everything else is drawn on the temp layer until it is committed.
+	 */
+	previewOperation = (operation) => {
+		if (operation.type === 'erase') {
+			renderOperation(this.getLayerContext(operation.layer), operation);
+			this.compositeDrawing();
+		} else {
+			// The temp layer blends with the drawing like the stroke will
+			const brush =
+				operation.type === 'line' && getBrush((operation.brush || {}).type);
+			this.canvas.temp.style.mixBlendMode = (brush && brush.blendMode) || '';
+			this.clearWindow(this.ctx.temp);
+			renderOperation(this.ctx.temp, operation);
+		}
+	};
+
+	/**
+	 * @returns {Object} the line or erase operation for the given points,
+	 * styled by the current props.
+	 */
+	getStrokeOperation = (points, { brushColor, brushRadius } = {}) => {
+		brushRadius = brushRadius || this.props.brushRadius;
+
+		const layer = this.getActiveLayer().id;
+		if (this.props.tool === 'Eraser') {
+			return { type: 'erase', tool: 'Eraser', points, brushRadius, layer };
+		}
+		return {
+			type: 'line',
+			tool: this.props.tool,
+			layer,
+			points,
+			brushColor: brushColor || this.props.brushColor,
+			brushRadius,
+			brush: brushForStroke(this.props.brush, points[0]),
+			opacity: this.props.brushOpacity,
+		};
+	};
+
+	/**
+	 * Loads the stamp images of the brushes the operations use, and draws the
+	 * drawing again once they are available.
+	 */
+	loadBrushImages = (operations) => {
+		loadBrushImages(operations.map(({ brush }) => brush)).then((loaded) => {
+			if (loaded) this.redrawDrawing();
 		});
 	};
 
-	setCanvasSize = (canvas, width, height) => {
-		canvas.width = width;
-		canvas.height = height;
-		canvas.style.width = width;
-		canvas.style.height = height;
+	/**
+	 * @returns {Object | null} the shape operation being drawn: a rectangle,
+	 * ellipse, line or arrow spanned by the shape start point and the last
+	 * pointer position, or a polyline or polygon through the points placed so
+	 * far and the last pointer position.
+	 */
+	getShapeOperation = () => {
+		const { tool, brushColor, brushRadius, fillShape, arrowHeads } = this.props;
+		const style = {
+			tool,
+			brushColor,
+			brushRadius,
+			fillShape,
+			layer: this.getActiveLayer().id,
+		};
+
+		if (tool === 'Rectangle') {
+			return {
+				type: 'rectangle',
+				x: this.shapeStartX,
+				y: this.shapeStartY,
+				width: this.lastX - this.shapeStartX,
+				height: this.lastY - this.shapeStartY,
+				...style,
+			};
+		} else if (tool === 'Circle') {
+			const radiusX = Math.abs(this.lastX - this.shapeStartX);
+			const radiusY = Math.abs(this.lastY - this.shapeStartY);
+			return {
+				type: 'ellipse',
+				x: this.shapeStartX + radiusX / 2,
+				y: this.shapeStartY + radiusY / 2,
+				radiusX,
+				radiusY,
+				...style,
+			};
+		} else if (tool === 'Line' || tool === 'Arrow') {
+			if (this.lastX === this.shapeStartX && this.lastY === this.shapeStartY) {
+				return null;
+			}
+			const operation = {
+				type: 'polyline',
+				points: [
+					{ x: this.shapeStartX, y: this.shapeStartY },
+					{ x: this.lastX, y: this.lastY },
+				],
+				closed: false,
+				...style,
+			};
+			if (tool === 'Arrow') {
+				operation.arrowStart = arrowHeads === 'both';
+				operation.arrowEnd = true;
+			}
+			return operation;
+		} else if (pathTools.indexOf(tool) !== -1 && this.pathPoints.length) {
+			return {
+				type: 'polyline',
+				points: this.pathPoints.concat([{ x: this.lastX, y: this.lastY }]),
+				closed: tool === 'Polygon',
+				...style,
+			};
+		}
+		return null;
 	};
 
-	drawPoints = ({ points, brushColor, brushRadius }) => {
-		this.ctx.temp.lineJoin = 'round';
-		this.ctx.temp.lineCap = 'round';
+	///// Polylines and polygons
 
-		if (this.props.type === 'eraser') {
-			this.ctx.temp.lineJoin = 'miter';
-			this.ctx.temp.lineCap = 'butt';
+	/**
+	 * Adds a point to the polyline or polygon being drawn. Clicking the last
+	 * point again finishes the path, as does clicking the first point of a
+	 * polygon.
+	 */
+	addPathPoint = (point) => {
+		const points = this.pathPoints;
+		const tolerance = HANDLE_SIZE / this.coordSystem.scale;
+		const isNear = (other) =>
+			Math.abs(other.x - point.x) <= tolerance &&
+			Math.abs(other.y - point.y) <= tolerance;
+
+		if (points.length && isNear(points[points.length - 1])) {
+			this.finishPath();
+		} else if (
+			this.props.tool === 'Polygon' &&
+			points.length >= 3 &&
+			isNear(points[0])
+		) {
+			this.finishPath();
+		} else {
+			points.push(point);
+			this.lastX = point.x;
+			this.lastY = point.y;
+			this.drawShapePreview();
 		}
-		this.ctx.temp.strokeStyle = brushColor;
+	};
+
+	isDrawingPath = () => this.pathPoints.length > 0;
 
+	/**
+	 * Adds the polyline or polygon through the points placed so far to the
+	 * drawing.
+	 */
+	finishPath = () => {
+		const { tool, brushColor, brushRadius, fillShape } = this.props;
+		const points = this.pathPoints;
+		this.cancelPath();
+
+		if (points.length < (tool === 'Polygon' ? 3 : 2)) return;
+		this.commitShape({
+			type: 'polyline',
+			tool,
+			points,
+			closed: tool === 'Polygon',
+			brushColor,
+			brushRadius,
+			fillShape,
+			layer: this.getActiveLayer().id,
+		});
+	};
+
+	cancelPath = () => {
+		if (!this.pathPoints.length) return;
+
+		this.pathPoints = [];
 		this.clearWindow(this.ctx.temp);
-		this.ctx.temp.lineWidth = brushRadius * 2;
-
-		let p1 = points[0];
-		let p2 = points[1];
-
-		this.ctx.temp.moveTo(p2.x, p2.y);
-		this.ctx.temp.beginPath();
-
-		for (var i = 1, len = points.length; i < len; i++) {
-			// we pick the point between pi+1 & pi+2 as the
-			// end point and p1 as our control point
-			var midPoint = midPointBtw(p1, p2);
-			this.ctx.temp.quadraticCurveTo(p1.x, p1.y, midPoint.x, midPoint.y);
-			p1 = points[i];
-			p2 = points[i + 1];
-		}
-		// Draw last line as a straight line while
-		// we wait for the next point to be able to calculate
-		// the bezier control point
-		this.ctx.temp.lineTo(p1.x, p1.y);
-		this.ctx.temp.stroke();
-	};
-
-	drawRect = () => {
-		const saveData = this.getSaveData();
-		this.loadSaveData(saveData);
-		this.ctx.drawing.beginPath();
-		this.ctx.drawing.strokeStyle = this.props.brushColor;
-		this.ctx.drawing.lineWidth = this.props.brushRadius;
-		if (this.props.fillShape) {
-			this.ctx.drawing.fillStyle = this.props.brushColor;
-			this.ctx.drawing.fillRect(
-				this.shapeStartX,
-				this.shapeStartY,
-				this.lastX - this.shapeStartX,
-				this.lastY - this.shapeStartY
-			);
-		} else {
-			this.ctx.drawing.rect(
-				this.shapeStartX,
-				this.shapeStartY,
-				this.lastX - this.shapeStartX,
-				this.lastY - this.shapeStartY
-			);
+	};
+
+	///// Text
+
+	/**
+	 * Opens the text editor for the text at the point, or for a new text
+	 * anchored at the point, styled by the current props.
+	 */
+	openTextEditor = (point) => {
+		const texts = this.getEditableOperations().filter(
+			({ type }) => type === 'text'
+		);
+		const original = operationAtPoint(texts, point, 0) || null;
+		const { brushColor, fontFamily, fontSize, fontWeight, textAlign } =
+			this.props;
+		const operation = original || {
+			type: 'text',
+			tool: 'Text',
+			layer: this.getActiveLayer().id,
+			x: point.x,
+			y: point.y,
+			text: '',
+			color: brushColor,
+			fontFamily,
+			fontSize,
+			fontWeight,
+			textAlign,
+			width: 0,
+		};
+
+		this.isEditingText = true;
+		// The editor shows the text instead while it's edited
+		this.editedText = original;
+		this.redrawDrawing();
+		this.setState({ textEditor: { operation, original } });
+	};
+
+	updateText = (text) => {
+		this.setState(({ textEditor }) => ({
+			textEditor: { ...textEditor, operation: { ...textEditor.operation, text } },
+		}));
+	};
+
+	handleTextKeyDown = (e) => {
+		if (e.key === 'Escape') {
+			this.cancelText();
+		} else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+			e.preventDefault();
+			this.commitText();
 		}
-		this.ctx.drawing.stroke();
-		this.ctx.drawing.closePath();
-	};
-
-	drawCircle = () => {
-		const saveData = this.getSaveData();
-		this.loadSaveData(saveData);
-
-		this.ctx.drawing.beginPath();
-
-		this.ctx.drawing.strokeStyle = this.props.brushColor;
-		if (this.props.fillShape)
-			this.ctx.drawing.fillStyle = this.props.brushColor;
-		this.ctx.drawing.lineWidth = this.props.brushRadius;
-		const radiusX = Math.abs(this.lastX - this.shapeStartX);
-		const radiusY = Math.abs(this.lastY - this.shapeStartY);
-		this.ctx.drawing.ellipse(
-			this.shapeStartX + radiusX / 2,
-			this.shapeStartY + radiusY / 2,
-			radiusX,
-			radiusY,
-			0,
-			0,
-			Math.PI * 2
+	};
+
+	/**
+	 * Closes the text editor, adding its text to the drawing as an undoable
+	 * step. Editing an existing text replaces it; emptying it removes it.
+	 */
+	commitText = () => {
+		if (!this.isEditingText) return;
+
+		const { operation: draft, original } = this.state.textEditor;
+		this.isEditingText = false;
+		this.editedText = null;
+		this.setState({ textEditor: null });
+
+		const operation = draft.text.trim()
+			? { ...draft, width: this.measureTextWidth(draft) }
+			: null;
+		const isChanged = !original || !operation || operation.text !== original.text;
+		if (!isChanged) {
+			this.redrawDrawing();
+			return;
+		}
+		if (!original || this.operations.indexOf(original) === -1) {
+			// A new text, or an edit of one that was undone meanwhile, which
+			// is added again as a new text
+			this.redrawDrawing();
+			this.commitOperation(operation && { ...operation, time: Date.now() });
+			return;
+		}
+
+		const command = this.history.execute(
+			operation
+				? replaceOperations(this.operations, [original], [operation])
+				: removeOperations(this.operations, [original])
 		);
-		if (this.props.fillShape) this.ctx.drawing.fill();
-		this.ctx.drawing.stroke();
-		this.ctx.drawing.closePath();
-	};
-
-	reDrawShapes = () => {
-		for (const circle of this.circles) {
-			const { shape, brushColor, brushRadius, fillShape } = circle;
-			const { x, y, radius } = shape;
-			this.ctx.drawing.beginPath();
-			this.ctx.drawing.strokeStyle = brushColor;
-			this.ctx.drawing.lineWidth = brushRadius;
-			if (fillShape) this.ctx.drawing.fillStyle = brushColor;
-
-			this.ctx.drawing.arc(x, y, radius, 0, 2 * Math.PI);
-			this.ctx.drawing.stroke();
-			if (fillShape) this.ctx.drawing.fill();
-			this.ctx.drawing.closePath();
-		}
-		for (const rectangle of this.rectangles) {
-			const { shape, brushColor, brushRadius, fillShape } = rectangle;
-			const { x, y, width, height } = shape;
-			this.ctx.drawing.beginPath();
-			this.ctx.drawing.strokeStyle = brushColor;
-			this.ctx.drawing.lineWidth = brushRadius;
-			if (fillShape) {
-				this.ctx.drawing.fillStyle = brushColor;
-				this.ctx.drawing.fillRect(x, y, width, height);
-			} else {
-				this.ctx.drawing.rect(x, y, width, height);
+		this.redrawDrawing();
+		this.triggerOnChange(command);
+	};
+
+	cancelText = () => {
+		if (!this.isEditingText) return;
+
+		this.isEditingText = false;
+		this.editedText = null;
+		this.setState({ textEditor: null });
+		this.redrawDrawing();
+	};
+
+	/**
+	 * @returns {number} the width of the widest line of the text operation.
+	 */
+	measureTextWidth = (function () {
+		let ctx;
+		return function (operation) {
+			if (!ctx) {
+				ctx = document.createElement('canvas').getContext('2d');
 			}
+			ctx.font = textFont(operation);
+			return operation.text
+				.split('\n')
+				.reduce((width, line) => Math.max(width, ctx.measureText(line).width), 0);
+		};
+	})();
 
-			this.ctx.drawing.stroke();
-			this.ctx.drawing.closePath();
+	/**
+	 * Previews the shape currently being drawn on the temp layer.
+	 */
+	drawShapePreview = () => {
+		const operation = this.getShapeOperation();
+		if (operation) {
+			this.previewOperation(operation);
+		} else {
+			this.clearWindow(this.ctx.temp);
 		}
 	};
 
 	saveLine = ({ brushColor, brushRadius } = {}) => {
 		if (this.points.length < 2) return;
 
-		// Save as new line
-		this.lines.push({
-			points: [...this.points],
-			brushColor: brushColor || this.props.brushColor,
-			brushRadius: brushRadius || this.props.brushRadius,
+		const operation = this.getStrokeOperation([...this.points], {
+			brushColor,
+			brushRadius,
 		});
 
 		// Reset points array
 		this.points.length = 0;
 
-		// Copy the line to the drawing canvas
-		this.inClientSpace([this.ctx.drawing, this.ctx.temp], () => {
-			this.ctx.drawing.drawImage(
-				this.canvas.temp,
-				0,
-				0,
-				this.canvas.drawing.width,
-				this.canvas.drawing.height
-			);
-		});
-
 		// Clear the temporary line-drawing canvas
 		this.clearWindow(this.ctx.temp);
 
-		this.triggerOnChange();
+		const stroke = this.commitOperation(operation);
+		this.triggerEvent('onStrokeEnd', { operation: stroke });
+		if (stroke.type === 'erase') {
+			this.triggerEvent('onErase', { operation: stroke });
+		}
 	};
 
-	triggerOnChange = () => {
-		this.props.onChange && this.props.onChange(this);
+	commitShape = (operation) => {
+		if (!operation) return;
+
+		const shape = this.commitOperation(operation);
+		this.triggerEvent('onShapeCommit', { operation: shape });
 	};
 
-	clearWindow = (ctx) => {
-		this.inClientSpace([ctx], () =>
-			ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+	/**
+	 * Adds the operation to the drawing as a new undoable step and draws it.
+	 * It's added at the end unless an index in the operation list is given.
+	 * @returns {Object} the operation as added, with its id, author and
+	 * timestamp (see collaboration.js), and the time it was finished at (see
+	 * playback.js).
+	 */
+	commitOperation = (newOperation, index = this.operations.length) => {
+		if (!newOperation) return null;
+
+		const operation = this.operationLog.stamp({
+			time: Date.now(),
+			...newOperation,
+		});
+		const isLast = index === this.operations.length;
+		const command = this.history.execute(
+			addOperation(this.operations, operation, index)
 		);
+		if (isLast) {
+			renderOperation(this.getLayerContext(operation.layer), operation);
+			this.compositeDrawing();
+		} else {
+			this.redrawDrawing();
+		}
+		this.triggerOnChange(command);
+		return operation;
+	};
+
+	/**
+	 * Adds the operation to the drawing without recording an undo step, e.g.
+	 * while loading saved data.
+	 */
+	appendOperation = (operation) => {
+		this.operations.push(operation);
+		renderOperation(this.getLayerContext(operation.layer), operation);
+		this.compositeDrawing();
 	};
 
-	clearExceptErasedLines = () => {
-		this.lines = [];
+	/**
+	 * Renders every operation onto its layer's canvas again, and composites
+	 * the layers onto the drawing canvas.
+	 * @param {string[]} [layerIds] only render the operations of these layers
+	 * again; the other layers' canvases are kept.
+	 */
+	redrawDrawing = (layerIds) => {
+		if (!this.ctx.drawing) return;
+
+		let operations = this.operations;
+		if (this.playbackCount !== null) {
+			operations = operations.slice(0, this.playbackCount);
+		}
+		if (this.editedText) {
+			operations = operations.filter((operation) => operation !== this.editedText);
+		}
+		if (this.selectionTransform) {
+			const selected = this.getSelection();
+			operations = operations.map((operation) =>
+				selected.indexOf(operation) === -1
+					? operation
+					: transformOperation(operation, this.selectionTransform)
+			);
+		}
+
+		const contexts = {};
+		this.getLayers().forEach(({ id }) => {
+			const ctx = (contexts[id] = this.getLayerContext(id));
+			if (layerIds && layerIds.indexOf(id) === -1) return;
+			this.clearWindow(ctx);
+			renderOperations(
+				ctx,
+				operations.filter((operation) => operation.layer === id)
+			);
+		});
+		// Forget the canvases of removed layers
+		this.layerContexts = contexts;
+		this.compositeDrawing();
+		// The selection's bounds may have changed as well
 		this.valuesChanged = true;
+	};
+
+	///// Layers
+
+	getLayer = (id) => this.getLayers().find((layer) => layer.id === id);
+
+	requireLayer = (id) => {
+		const layer = this.getLayer(id);
+		if (!layer) {
+			throw new Error(`The drawing has no layer "${id}"!`);
+		}
+		return layer;
+	};
+
+	changeLayers = (type, layers) => {
+		const command = this.history.execute(
+			new LayersCommand({ type, before: this.getLayers(), after: layers })
+		);
+		this.redrawDrawing();
+		this.triggerOnChange(command);
+	};
+
+	isLayerEditable = (id) => {
+		const layer = this.getLayer(id);
+		return !!layer && layer.visible && !layer.locked;
+	};
+
+	canDrawOnActiveLayer = () => this.isLayerEditable(this.getActiveLayer().id);
+
+	/**
+	 * @returns {Object[]} the operations on visible and unlocked layers, in the
+	 * order they are stacked.
+	 */
+	getEditableOperations = () => {
+		const operations = [];
+		this.getLayers().forEach(({ id }) => {
+			if (!this.isLayerEditable(id)) return;
+			this.operations.forEach((operation) => {
+				if (operation.layer === id) operations.push(operation);
+			});
+		});
+		return operations;
+	};
+
+	/**
+	 * @returns {CanvasRenderingContext2D} the context of the offscreen canvas
+	 * that the layer's operations are rendered to. It matches the drawing
+	 * canvas' size and view.
+	 */
+	getLayerContext = (id) => {
+		let ctx = this.layerContexts[id];
+		if (!ctx) {
+			ctx = this.layerContexts[id] = document
+				.createElement('canvas')
+				.getContext('2d');
+		}
+		const { width, height } = this.canvas.drawing;
+		if (ctx.canvas.width !== width || ctx.canvas.height !== height) {
+			ctx.canvas.width = width;
+			ctx.canvas.height = height;
+		}
+		ctx.setTransform(this.ctx.drawing.getTransform());
+		return ctx;
+	};
+
+	compositeDrawing = () => {
 		this.clearWindow(this.ctx.drawing);
+		compositeLayers(
+			this.ctx.drawing,
+			this.getLayers(),
+			(id) => this.getLayerContext(id).canvas
+		);
+	};
+
+	///// Selection
+
+	getSelectionBounds = () => getBounds(this.getSelection());
+
+	/**
+	 * @returns {string | null} what dragging the selection from the given point
+	 * does: "move", "rotate", the name of a resize handle, or null if the point
+	 * is outside of the selection.
+	 */
+	getSelectionAction = (point) => {
+		const selected = this.getSelection();
+		if (!selected.length) return null;
+
+		const scale = this.coordSystem.scale;
+		const tolerance = HANDLE_SIZE / scale;
+		const bounds = getBounds(selected);
+		const handle = getHandles(bounds, ROTATE_HANDLE_OFFSET / scale).find(
+			({ x, y }) =>
+				Math.abs(x - point.x) <= tolerance && Math.abs(y - point.y) <= tolerance
+		);
+		if (handle) return handle.name;
+
+		const { minX, minY, maxX, maxY } = bounds;
+		if (point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY) {
+			return 'move';
+		}
+		return null;
+	};
+
+	setSelection = (operations, extend = false) => {
+		if (extend) {
+			const selected = this.getSelection();
+			operations = selected.concat(
+				operations.filter((operation) => selected.indexOf(operation) === -1)
+			);
+		}
+		this.selection = operations;
+		this.valuesChanged = true;
+	};
+
+	/**
+	 * Selects the top-most operation at the point, or nothing.
+	 */
+	selectAtPoint = (point, extend = false) => {
+		const operation = operationAtPoint(
+			this.getEditableOperations(),
+			point,
+			HANDLE_SIZE / 2 / this.coordSystem.scale
+		);
+		this.setSelection(operation ? [operation] : [], extend);
+	};
+
+	/**
+	 * Selects the operations that lie entirely within the polygon.
+	 */
+	selectInArea = (polygon, extend = false) => {
+		this.setSelection(
+			operationsInPolygon(this.getEditableOperations(), polygon),
+			extend
+		);
+	};
+
+	/**
+	 * Shows the selection transformed by the matrix without changing the
+	 * drawing yet.
+	 */
+	previewSelectionTransform = (matrix) => {
+		this.selectionTransform = matrix;
+		this.redrawDrawing();
+	};
+
+	/**
+	 * Applies the previewed transform to the selected operations as one
+	 * undoable step.
+	 */
+	commitSelectionTransform = () => {
+		const matrix = this.selectionTransform;
+		const selected = this.getSelection();
+		this.selectionTransform = null;
+
+		if (!matrix || isIdentity(matrix) || !selected.length) {
+			this.redrawDrawing();
+			return;
+		}
+
+		const transformed = selected.map((operation) =>
+			transformOperation(operation, matrix)
+		);
+		const command = this.history.execute(
+			replaceOperations(this.operations, selected, transformed)
+		);
+		this.selection = transformed;
+		this.redrawDrawing();
+		this.triggerOnChange(command);
+	};
+
+	/**
+	 * Draws the selection's bounding box and handles, or the marquee or lasso
+	 * being drawn, onto the interface layer.
+	 */
+	drawSelection = (ctx) => {
+		const selected = this.getSelection();
+		if (!selected.length && !this.selectionArea) return;
+
+		const scale = this.coordSystem.scale;
+		ctx.save();
+		ctx.lineWidth = 1 / scale;
+		ctx.strokeStyle = SELECTION_COLOR;
+		ctx.fillStyle = '#ffffff';
+
+		const tracePolygon = (points) => {
+			ctx.beginPath();
+			points.forEach(({ x, y }, i) =>
+				i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)
+			);
+			ctx.closePath();
+			ctx.stroke();
+		};
+
+		if (selected.length) {
+			const bounds = getBounds(selected);
+			const { minX, minY, maxX, maxY } = bounds;
+			const matrix = this.selectionTransform;
+			const corners = [
+				{ x: minX, y: minY },
+				{ x: maxX, y: minY },
+				{ x: maxX, y: maxY },
+				{ x: minX, y: maxY },
+			];
+			tracePolygon(
+				matrix ? corners.map((point) => transformPoint(matrix, point)) : corners
+			);
+
+			// Handles are hidden while dragging
+			if (!matrix) {
+				const size = HANDLE_SIZE / scale;
+				getHandles(bounds, ROTATE_HANDLE_OFFSET / scale).forEach(
+					({ name, x, y }) => {
+						ctx.beginPath();
+						if (name === 'rotate') {
+							ctx.moveTo(x, minY);
+							ctx.lineTo(x, y + size / 2);
+							ctx.stroke();
+							ctx.beginPath();
+							ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+						} else {
+							ctx.rect(x - size / 2, y - size / 2, size, size);
+						}
+						ctx.fill();
+						ctx.stroke();
+					}
+				);
+			}
+		}
+
+		if (this.selectionArea) {
+			ctx.setLineDash([4 / scale, 4 / scale]);
+			tracePolygon(this.selectionArea);
+		}
+		ctx.restore();
+	};
+
+	/**
+	 * Calls onChange with the new document (see getDocument) and what changed:
+	 * the `type` of the command (e.g. "add", "replace", "clear") or "undo" or
+	 * "redo", and the operations `added` and `removed` by it.
+	 */
+	triggerOnChange = (command, type = command.type) => {
+		this.stopPlayback();
+		const changeInfo = this.changeInfo(command, type);
+		this.shareChange(changeInfo);
+		this.props.onChange && this.props.onChange(this.getDocument(), changeInfo);
+	};
+
+	changeInfo = (command, type = command.type) => {
+		const { added, removed } = operationChanges(command);
+		return type === 'undo'
+			? { type, added: removed, removed: added }
+			: { type, added, removed };
+	};
+
+	/**
+	 * Calls the event prop with the given name (e.g. onStrokeEnd), if set.
+	 */
+	triggerEvent = (name, payload) => {
+		this.props[name] && this.props[name](payload);
+	};
+
+	///// Collaboration
+
+	subscribeTransport = () => {
+		this.unsubscribeTransport && this.unsubscribeTransport();
+		this.unsubscribeTransport =
+			this.props.transport &&
+			this.props.transport.subscribe((message) =>
+				message.type === 'presence'
+					? this.applyRemotePresence(message)
+					: this.applyRemoteOperation(message)
+			);
+	};
+
+	/**
+	 * Sends a local change to the other authors through the transport. Undone
+	 * and redone operations go back to their place in the shared drawing
+	 * order.
+	 */
+	shareChange = (changeInfo) => {
+		const { transport } = this.props;
+		if (!transport) return;
+
+		if (sortOperations(this.operations)) this.redrawDrawing();
+		this.operationLog
+			.localEntries(changeInfo)
+			.forEach((entry) => transport.send(entry));
+	};
+
+	///// Playback
+
+	/**
+	 * Shows the first `count` operations of the drawing and the one in
+	 * progress, as of the playback's current time.
+	 */
+	renderPlayback = (playback, count, partial) => {
+		// The drawing changed since, see stopPlayback
+		if (playback !== this.playback) {
+			playback.pause();
+			return;
+		}
+
+		const shown =
+			this.playbackCount === null ? this.operations.length : this.playbackCount;
+		this.playbackCount = count;
+		if (count < shown) {
+			this.redrawDrawing();
+		} else if (count > shown) {
+			this.operations
+				.slice(shown, count)
+				.forEach((operation) =>
+					renderOperation(this.getLayerContext(operation.layer), operation)
+				);
+			this.compositeDrawing();
+		}
+		if (partial) {
+			this.previewOperation(partial);
+		} else {
+			this.clearWindow(this.ctx.temp);
+		}
+	};
+
+	/**
+	 * Ends the playback, if any, and shows the whole drawing again.
+	 */
+	stopPlayback = () => {
+		if (!this.playback) return;
+
+		this.playback.pause();
+		this.playback = null;
+		if (this.playbackCount === null) return;
+		this.playbackCount = null;
 		this.clearWindow(this.ctx.temp);
+		this.redrawDrawing();
+	};
+
+	///// Presence
+
+	/**
+	 * Shares where the pointer is (in document coordinates, or null if it left
+	 * the canvas) and the Pencil stroke in progress, see presence.js.
+	 */
+	sharePresence = (e) => {
+		if (!this.props.transport) return;
+
+		const pointer = e && documentPointFromEvent(this, e);
+		const isStroking = this.props.tool === 'Pencil' && this.points.length > 0;
+		this.presenceSender.update({
+			pointer,
+			stroke: isStroking ? this.getStrokeOperation(this.points) : null,
+		});
+	};
+
+	sendPresence = ({ pointer, stroke }) => {
+		const { transport, presenceName, presenceColor } = this.props;
+		if (!transport) return;
+
+		const { author } = this.operationLog;
+		transport.send({
+			type: 'presence',
+			author,
+			name: presenceName,
+			color: presenceColor || authorColor(author),
+			pointer,
+			stroke,
+		});
+	};
+
+	/**
+	 * Draws the pointers of the other authors, labelled with their names, and
+	 * their strokes in progress, in client-independent sizes.
+	 */
+	drawRemotePresence = (ctx) => {
+		const scale = this.coordSystem.scale;
+		Object.keys(this.remotePresence).forEach((author) => {
+			const { name, color, pointer, stroke } = this.remotePresence[author];
+			if (stroke) renderOperation(ctx, stroke);
+			if (!pointer) return;
+
+			ctx.save();
+			ctx.fillStyle = color;
+			ctx.beginPath();
+			ctx.arc(pointer.x, pointer.y, 4 / scale, 0, Math.PI * 2);
+			ctx.fill();
+			if (name) {
+				const x = pointer.x + 8 / scale;
+				const y = pointer.y + 8 / scale;
+				ctx.font = `${12 / scale}px sans-serif`;
+				ctx.textBaseline = 'top';
+				ctx.fillRect(x, y, ctx.measureText(name).width + 8 / scale, 16 / scale);
+				ctx.fillStyle = '#ffffff';
+				ctx.fillText(name, x + 4 / scale, y + 2 / scale);
+			}
+			ctx.restore();
+		});
+	};
+
+	clearWindow = (ctx) => {
+		this.inClientSpace([ctx], () =>
+			ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+		);
 	};
 
 	loop = ({ once = false } = {}) => {
@@ -1025,7 +2616,10 @@ export default class CanvasDraw extends PureComponent {
 		if (this.props.hideGrid) return;
 
 		this.clearWindow(ctx);
+		this.strokeGrid(ctx);
+	};
 
+	strokeGrid = (ctx) => {
 		const gridSize = 25;
 		const { viewMin, viewMax } = this.coordSystem.canvasBounds;
 		const minx = Math.floor(viewMin.x / gridSize - 1) * gridSize;
@@ -1063,13 +2657,16 @@ export default class CanvasDraw extends PureComponent {
 	};
 
 	drawInterface = (ctx, pointer) => {
+		this.clearWindow(ctx);
+		this.drawSelection(ctx);
+		this.drawRemotePresence(ctx);
+
 		if (this.props.hideInterface) return;
 
 		if (this.props.disabled) {
 			pointer.x = -100;
 			pointer.y = -100;
 		}
-		this.clearWindow(ctx);
 
 		// Draw brush preview
 		ctx.beginPath();
@@ -1105,159 +2702,139 @@ export default class CanvasDraw extends PureComponent {
 		// if(pointer.gab)
 	};
 
-	cssTo32BitColor = (function () {
-		const setOpacity = (hex, alpha) =>
-			`${hex}${Math.floor(alpha * 255)
-				.toString(16)
-				.padStart(2, 0)}`;
+	cssToRGBA = (function () {
 		let ctx;
-		return function (cssColor, transparency) {
+		return function (cssColor) {
 			if (!ctx) {
 				ctx = document.createElement('canvas').getContext('2d');
 				ctx.canvas.width = 1;
 				ctx.canvas.height = 1;
 			}
 			ctx.clearRect(0, 0, 1, 1);
-			ctx.fillStyle = transparency
-				? setOpacity(cssColor.toString().substring(1), 0.4)
-				: cssColor;
-			console.log(
-				cssColor + ' VS ' + setOpacity(cssColor.toString().substring(1), 0.9)
-			);
+			ctx.fillStyle = cssColor;
 			ctx.fillRect(0, 0, 1, 1);
-			const imgData = ctx.getImageData(0, 0, 1, 1);
-			return new Uint32Array(imgData.data.buffer)[0];
-		};
-	})();
-	getIsLittleEndian = (function () {
-		var isLittleEndian = true;
-		return function () {
-			var buf = new ArrayBuffer(4);
-			var buf8 = new Uint8ClampedArray(buf);
-			var data = new Uint32Array(buf);
-			data[0] = 0x0f000000;
-			if (buf8[0] === 0x0f) {
-				isLittleEndian = false;
-			}
-			return isLittleEndian;
+			const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+			return { r, g, b, a };
 		};
 	})();
-	reverseUint32(uint32) {
-		var s32 = new Uint32Array(4);
-		var s8 = new Uint8Array(s32.buffer);
-		var t32 = new Uint32Array(4);
-		var t8 = new Uint8Array(t32.buffer);
-		const reverseUint32e = function (x) {
-			s32[0] = x;
-			t8[0] = s8[3];
-			t8[1] = s8[2];
-			t8[2] = s8[1];
-			t8[3] = s8[0];
-			return t32[0];
-		};
-		return reverseUint32e(uint32);
-	}
-	hexToRgb(hex) {
-		var result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-		return result
-			? {
-					r: parseInt(result[1], 16),
-					g: parseInt(result[2], 16),
-					b: parseInt(result[3], 16),
-					a: parseInt(result[4], 16),
-			  }
-			: null;
-	}
-	isGrey = function (rgb) {
-		if (!rgb) return false;
 
-		const { r, g, b } = rgb;
-		if (r >= 204 && g >= 204 && b >= 204 && r === g && g === b) {
-			console.log('GREY FILLED');
-			return true;
-		}
-		return false;
+	/**
+	 * @returns {Promise<Object>} the bounds `{ x, y, width, height }` of the
+	 * drawn pixels of the visible layers within the area of the document, in
+	 * whole document units, or null if nothing is drawn there. The pixels are
+	 * searched in a Web Worker where available.
+	 */
+	contentBounds = (area) => {
+		const x = Math.floor(area.x);
+		const y = Math.floor(area.y);
+		const width = Math.ceil(area.x + area.width) - x;
+		const height = Math.ceil(area.y + area.height) - y;
+		const ctx = document.createElement('canvas').getContext('2d');
+		ctx.canvas.width = width;
+		ctx.canvas.height = height;
+		ctx.setTransform(1, 0, 0, 1, -x, -y);
+		renderLayers(ctx, this.getLayers(), this.operations);
+		const { data } = ctx.getImageData(0, 0, width, height);
+		return runPixelOperation('opaqueBounds', [{ width, height, data }]).then(
+			(bounds) => bounds && { ...bounds, x: bounds.x + x, y: bounds.y + y }
+		);
 	};
 
-	floodFillImage() {}
+	/**
+	 * Renders the current drawing (without any view transform) into an
+	 * offscreen canvas and returns its pixels, so that pixel-based tools work
+	 * in document coordinates regardless of the current pan and zoom and of
+	 * the screen's pixel ratio.
+	 */
+	rasterizeDrawing = () => {
+		const width = Math.round(this.canvasSize.width);
+		const height = Math.round(this.canvasSize.height);
+		const ctx = document.createElement('canvas').getContext('2d');
+		ctx.canvas.width = width;
+		ctx.canvas.height = height;
+		renderLayers(ctx, this.getLayers(), this.operations);
+		this.drawSilhouetteImage(ctx);
+		return ctx.getImageData(0, 0, width, height);
+	};
 
-	floodFill(ctx, x, y, fillColor) {
-		fillColor = this.cssTo32BitColor(fillColor);
-		// const fillColorEdge = this.cssTo32BitColor(fillColor, true);
-		function getPixel(pixelData, x, y) {
-			if (x < 0 || y < 0 || x >= pixelData.width || y >= pixelData.height) {
-				return -1; // impossible color
-			} else {
-				return pixelData.data[y * pixelData.width + x];
-			}
-		}
-		// read the pixels in the canvas
-		const imageData = ctx.getImageData(
-			0,
-			0,
-			this.ctx.drawing.canvas.width,
-			this.ctx.drawing.canvas.height
+	/**
+	 * Fills the area around the given point with the given color. Pixels that
+	 * differ from the clicked color by at most the fillTolerance prop are part
+	 * of the area; the pixels around it (e.g. the anti-aliased edge of a
+	 * stroke) are filled behind the existing drawing so the fill meets the
+	 * stroke without a halo. With the fillGapSize prop, small openings in the
+	 * area's boundary don't let the fill leak out.
+	 *
+	 * The area is found in the visible layers, and the fill is added to the
+	 * active layer. The area is computed in a Web Worker where available.
+	 * Fills run one after another, each on the drawing as left by the
+	 * previous one.
+	 * @returns {Promise} resolves with the fill operation once it was added to
+	 * the drawing, or with null if nothing was filled. Rejects if the fill
+	 * couldn't be computed.
+	 */
+	floodFill(x, y, fillColor) {
+		const { fillTolerance, fillGapSize, fillAlpha } = this.props;
+		// The fill goes on the layer that was active when it was started
+		const layer = this.getActiveLayer().id;
+		const fill = this.pendingFill.then(() =>
+			this.computeFill(
+				x,
+				y,
+				fillColor,
+				fillTolerance,
+				fillGapSize,
+				fillAlpha,
+				layer
+			)
 		);
+		// Keep the queue going even if this fill fails
+		this.pendingFill = fill.catch(() => null);
+		return fill;
+	}
 
-		// this.white2transparent(this.ctx.drawing, imageData);
-
-		// make a Uint32Array view on the pixels so we can manipulate pixels
-		// one 32bit value at a time instead of as 4 bytes per pixel
-		const pixelData = {
-			width: imageData.width,
-			height: imageData.height,
-			data: new Uint32Array(imageData.data.buffer),
-		};
-
-		// get the color we're filling
-		// console.log(this.getIsLittleEndian());
-		const targetColor = getPixel(pixelData, x, y);
-
-		// check we are actually filling a different color
-		// console.log('TARGET VS FILL ' + targetColor, fillColor);
-		if (targetColor !== fillColor) {
-			const pixelsToCheck = [x, y];
-			while (pixelsToCheck.length > 0) {
-				const y = pixelsToCheck.pop();
-				const x = pixelsToCheck.pop();
-
-				const currentColor = getPixel(pixelData, x, y);
-
-				let rgb = null;
-
-				// const conv = this.getIsLittleEndian()
-				// 	? this.reverseUint32(currentColor).toString(16)
-				// 	: currentColor.toString(16);
-
-				// const hex = conv.slice(0, conv.length - 2);
-				// // console.log(hex)
-				// rgb = this.hexToRgb(`#${hex}`);
-				// console.log(rgb)
-				// console.log(rgb + "VS " + );
-				// console.log()
-				// console.log(currentColor + "VS TARGET" + targetColor)
-				//if the current pixel we're iterating on is equal to the color of the first pixel we clicked to fill at
-				//OR if the current pixel is within a range of the first click pixel
-				//the issue is that the stroke has several ranges of lighter colors around it
-
-				if (currentColor === targetColor) {
-					pixelData.data[y * pixelData.width + x] = fillColor;
-
-					pixelsToCheck.push(x + 1, y);
-					pixelsToCheck.push(x - 1, y);
-					pixelsToCheck.push(x, y + 1);
-					pixelsToCheck.push(x, y - 1);
-				} else {
-					//hit an edge, fill it yeah? ideally with more transparent though. less jagged edges
-
-					pixelData.data[y * pixelData.width + x] = fillColor;
-				}
-			}
-			// put the data back
-			this.pushToUndoQueue();
-			this.imageData = imageData;
-
-			ctx.putImageData(imageData, 0, 0);
-		}
+	computeFill(x, y, fillColor, tolerance, gapSize, alpha, layer) {
+		const imageData = this.rasterizeDrawing();
+		const { width, height } = imageData;
+		if (!(x >= 0 && y >= 0 && x < width && y < height)) return null;
+
+		// The fill goes right after the operations it was computed from, even if
+		// more were drawn while it was computed.
+		const previous = this.operations[this.operations.length - 1];
+
+		return runPixelOperation(
+			'fillArea',
+			[
+				{ width, height, data: imageData.data },
+				x,
+				y,
+				// Support any CSS color, not only hex and rgb(a)
+				this.cssToRGBA(fillColor),
+				tolerance,
+				gapSize,
+			],
+			[imageData.data.buffer]
+		).then((area) => {
+			if (!area) return null;
+
+			const index = previous ? this.operations.indexOf(previous) + 1 : 0;
+			// The drawing it was computed from was undone or cleared meanwhile
+			if (previous && index === 0) return null;
+
+			const operation = this.commitOperation(
+				{
+					type: 'fill',
+					tool: 'FloodFill',
+					layer,
+					color: fillColor,
+					alpha,
+					spans: area.spans,
+					edgeSpans: area.edgeSpans,
+				},
+				index
+			);
+			this.triggerEvent('onFill', { operation, x, y });
+			return operation;
+		});
 	}
 }
@@ -1,7 +1,12 @@
 import FloodFill from './FloodFill';
+import { getDragTransform } from './selection';
 
 const TOUCH_SLOP = 10;
 const PINCH_TIMEOUT_MS = 250;
+// Touches with a larger contact (in CSS pixels) are taken for a resting palm
+const PALM_CONTACT_SIZE = 40;
+// Touches starting this soon after the pen was on or above the screen, too
+const PALM_PEN_TIMEOUT_MS = 500;
 const SUPPRESS_SCROLL = (e) => {
 	// No zooming while drawing, but we'll cancel the scroll event.
 	e.preventDefault();
@@ -30,8 +35,20 @@ export class DefaultState {
 	handleDrawStart = (e, canvasDraw, shouldStartAtEdge) => {
 		if (canvasDraw.props.disabled) {
 			return new DisabledState();
-		} else if (e.ctrlKey && canvasDraw.props.enablePanAndZoom) {
+		} else if (e.navigates) {
+			// Fingers navigate in the pen-only input mode
+			return canvasDraw.props.enablePanAndZoom
+				? new ScaleOrPanState().handleDrawStart(e, canvasDraw)
+				: this;
+		} else if (
+			(e.ctrlKey || canvasDraw.state.spacePanning) &&
+			canvasDraw.props.enablePanAndZoom
+		) {
 			return new PanState().handleDrawStart(e, canvasDraw);
+		} else if (canvasDraw.props.tool === 'Select') {
+			return new SelectState().handleDrawStart(e, canvasDraw);
+		} else if (!canvasDraw.canDrawOnActiveLayer()) {
+			return this;
 		} else {
 			return new WaitForPinchState().handleDrawStart(
 				e,
@@ -44,6 +61,8 @@ export class DefaultState {
 	handleDrawMove = (e, canvasDraw) => {
 		if (canvasDraw.props.disabled) {
 			return new DisabledState();
+		} else if (e.navigates) {
+			return this;
 		} else {
 			let { x, y } = viewPointFromEvent(canvasDraw.coordSystem, e);
 			x = x*canvasDraw.props.scale;
@@ -182,7 +201,7 @@ export class WaitForPinchState {
 		}
 
 		const clientPt = clientPointFromEvent(e);
-		this.deferredPoints.push(clientPt);
+		this.deferredPoints.push({ ...clientPt, ...penDetailsFromEvent(e) });
 
 		// If we've already moved far enough, or if enough time has passed, give up
 		// and switch over to drawing.
@@ -237,7 +256,7 @@ export class ScaleOrPanState {
 
 	handleDrawStart = (e, canvasDraw) => {
 		e.preventDefault();
-		if (!e.touches || e.touches.length < 2) {
+		if (!hasEnoughTouches(e)) {
 			return new DefaultState();
 		}
 		this.start = this.getTouchMetrics(e);
@@ -251,7 +270,7 @@ export class ScaleOrPanState {
 
 	handleDrawMove = (e, canvasDraw) => {
 		e.preventDefault();
-		if (!e.touches || e.touches.length < 2) {
+		if (!hasEnoughTouches(e)) {
 			return new DefaultState();
 		}
 
@@ -276,11 +295,14 @@ export class ScaleOrPanState {
 		return this;
 	};
 
-	handleDrawEnd = () => new DefaultState();
+	handleDrawEnd = (e, canvasDraw) => continueNavigation(e, canvasDraw);
 
 	getTouchMetrics = (e) => {
+		// A single finger (in the pen-only input mode) only pans
 		const { clientX: t1x, clientY: t1y } = clientPointFromEvent(e.touches[0]);
-		const { clientX: t2x, clientY: t2y } = clientPointFromEvent(e.touches[1]);
+		const { clientX: t2x, clientY: t2y } = clientPointFromEvent(
+			e.touches[1] || e.touches[0]
+		);
 
 		const dx = t2x - t1x;
 		const dy = t2y - t1y;
@@ -303,11 +325,11 @@ export class TouchPanState {
 	}
 
 	handleMouseWheel = SUPPRESS_SCROLL.bind(this);
-	handleDrawStart = () => this;
+	handleDrawStart = (e, canvasDraw) => restartNavigation(this, e, canvasDraw);
 
 	handleDrawMove = (e, canvasDraw) => {
 		e.preventDefault();
-		if (!e.touches || e.touches.length < 2) {
+		if (!hasEnoughTouches(e)) {
 			return new DefaultState();
 		}
 
@@ -322,7 +344,7 @@ export class TouchPanState {
 		return this;
 	};
 
-	handleDrawEnd = () => new DefaultState();
+	handleDrawEnd = (e, canvasDraw) => continueNavigation(e, canvasDraw);
 }
 
 /**
@@ -334,11 +356,11 @@ export class TouchScaleState {
 	}
 
 	handleMouseWheel = SUPPRESS_SCROLL.bind(this);
-	handleDrawStart = () => this;
+	handleDrawStart = (e, canvasDraw) => restartNavigation(this, e, canvasDraw);
 
 	handleDrawMove = (e, canvasDraw) => {
 		e.preventDefault();
-		if (!e.touches || e.touches.length < 2) {
+		if (!hasEnoughTouches(e)) {
 			return new DefaultState();
 		}
 
@@ -352,7 +374,29 @@ export class TouchScaleState {
 		return this;
 	};
 
-	handleDrawEnd = () => new DefaultState();
+	handleDrawEnd = (e, canvasDraw) => continueNavigation(e, canvasDraw);
+}
+
+function hasEnoughTouches(e) {
+	return e.touches && e.touches.length >= (e.navigates ? 1 : 2);
+}
+
+/**
+ * Starts over with the current fingers when a finger is added during a touch
+ * gesture of the pen-only input mode, so that the view doesn't jump.
+ */
+function restartNavigation(state, e, canvasDraw) {
+	return e.navigates ? new ScaleOrPanState().handleDrawStart(e, canvasDraw) : state;
+}
+
+/**
+ * Ends a touch gesture, or carries on with the remaining fingers in the
+ * pen-only input mode.
+ */
+function continueNavigation(e, canvasDraw) {
+	return e.navigates && e.touches.length
+		? new ScaleOrPanState().handleDrawStart(e, canvasDraw)
+		: new DefaultState();
 }
 
 /**
@@ -366,7 +410,6 @@ export class DrawingState {
 	handleMouseWheel = SUPPRESS_SCROLL.bind(this);
 
 	handleDrawStart = (e, canvasDraw, shouldStartAtEdge) => {
-		console.log('SHOULD START EDGE ' + shouldStartAtEdge);
 		e.preventDefault();
 
 		if (e.touches && e.touches.length) {
@@ -380,7 +423,6 @@ export class DrawingState {
 	};
 
 	handleDrawMove = (e, canvasDraw, shouldStartAtEdge) => {
-		console.log('DRAW MOVE B');
 		e.preventDefault();
 		const realCanvasWidth = canvasDraw.canvas.drawing.clientWidth;
 		const realCanvasHeight = canvasDraw.canvas.drawing.clientHeight;
@@ -389,19 +431,9 @@ export class DrawingState {
 		y = canvasDraw.props.scale * y;
 		canvasDraw.lastX = x;
 		canvasDraw.lastY = y;
-		console.log('TOOL ', canvasDraw.props.tool);
-	
-		if (canvasDraw.props.tool === 'Rectangle') {
-			canvasDraw.drawRect();
-		}
-		if (canvasDraw.props.tool === 'Circle') {
-			canvasDraw.drawCircle();
-			// canvasDraw.drawPoints({
-			//   points: canvasDraw.allDrawnPoints,
-			//   brushColor: canvasDraw.props.brushColor,
-			//   brushRadius: canvasDraw.props.brushRadius,
-			// });
-			// Draw current points
+
+		if (canvasDraw.isDrawingShape || canvasDraw.isDrawingPath()) {
+			canvasDraw.drawShapePreview();
 		}
 		if (
 			canvasDraw.props.tool !== 'Pencil' &&
@@ -420,7 +452,6 @@ export class DrawingState {
 				x >= realCanvasWidth - offset
 			) {
 				//right side exit
-				console.log('right side exit');
 				x += 500;
 			}
 
@@ -443,36 +474,40 @@ export class DrawingState {
 			//if we
 			// if(x < offset &&
 		} else {
-			console.log('handling move ', x, y);
 			canvasDraw.lastX = x;
 			canvasDraw.lastY = y;
 		}
 		canvasDraw.lazy.update({ x, y });
 		const isDisabled = !canvasDraw.lazy.isEnabled();
 
+		if (!this.isDrawing) this.startTime = Date.now();
+		const point = {
+			...canvasDraw.clampPointToDocument(canvasDraw.lazy.brush.toObject()),
+			...penDetailsFromEvent(e),
+			// For playback, the time since the stroke started
+			t: Date.now() - this.startTime,
+		};
+
+		if (!this.isDrawing) {
+			canvasDraw.triggerEvent('onStrokeStart', {
+				tool: canvasDraw.props.tool,
+				layer: canvasDraw.getActiveLayer().id,
+				point,
+			});
+		}
 		if (!this.isDrawing || isDisabled) {
 			// Start drawing and add point
-			canvasDraw.points.push(
-				canvasDraw.clampPointToDocument(canvasDraw.lazy.brush.toObject())
-			);
+			canvasDraw.points.push(point);
 			this.isDrawing = true;
 		}
 
 		// Add new point
-		canvasDraw.points.push(
-			canvasDraw.clampPointToDocument(canvasDraw.lazy.brush.toObject())
-		);
+		canvasDraw.points.push(point);
 
 		// Draw current points
-		canvasDraw.drawPoints({
-			points: canvasDraw.points,
-			brushColor:
-				canvasDraw.props.tool === 'Eraser'
-					? '#FFFFFF'
-					: canvasDraw.props.brushColor,
-			brushRadius: canvasDraw.props.brushRadius,
-		});
-
+		canvasDraw.previewOperation(
+			canvasDraw.getStrokeOperation(canvasDraw.points)
+		);
 
 		return this;
 	};
@@ -484,20 +519,218 @@ export class DrawingState {
 		this.handleDrawMove(e, canvasDraw);
 		canvasDraw.saveLine();
 
+		// Polylines and polygons take several clicks
+		return canvasDraw.isDrawingPath() ? this : new DefaultState();
+	};
+}
+
+/**
+ * This state is active while the Select tool is dragged: either to move,
+ * resize or rotate the current selection, or to span a new selection area
+ * (a marquee rectangle or a lasso, depending on the selectionMode prop).
+ */
+export class SelectState {
+	handleMouseWheel = SUPPRESS_SCROLL.bind(this);
+
+	handleDrawStart = (e, canvasDraw) => {
+		e.preventDefault();
+
+		this.start = documentPointFromEvent(canvasDraw, e);
+		this.action = canvasDraw.getSelectionAction(this.start);
+		if (this.action) {
+			this.bounds = canvasDraw.getSelectionBounds();
+		} else {
+			this.area = [this.start];
+		}
+
+		return this;
+	};
+
+	handleDrawMove = (e, canvasDraw) => {
+		e.preventDefault();
+
+		const point = documentPointFromEvent(canvasDraw, e);
+		if (this.action) {
+			canvasDraw.previewSelectionTransform(
+				getDragTransform(this.action, this.bounds, this.start, point)
+			);
+		} else {
+			this.area.push(point);
+			canvasDraw.selectionArea = this.getArea(canvasDraw);
+		}
+
+		return this;
+	};
+
+	handleDrawEnd = (e, canvasDraw) => {
+		e.preventDefault();
+
+		if (this.action) {
+			canvasDraw.commitSelectionTransform();
+		} else {
+			canvasDraw.selectionArea = null;
+			const area = this.getArea(canvasDraw);
+			const end = this.area[this.area.length - 1];
+			const clickDistance = TOUCH_SLOP / canvasDraw.coordSystem.scale;
+			if (
+				Math.abs(end.x - this.start.x) + Math.abs(end.y - this.start.y) <
+				clickDistance
+			) {
+				canvasDraw.selectAtPoint(this.start, e.shiftKey);
+			} else {
+				canvasDraw.selectInArea(area, e.shiftKey);
+			}
+		}
+
 		return new DefaultState();
 	};
+
+	getArea = (canvasDraw) => {
+		if (canvasDraw.props.selectionMode === 'lasso') {
+			return this.area;
+		}
+		const { x: x0, y: y0 } = this.start;
+		const { x: x1, y: y1 } = this.area[this.area.length - 1];
+		return [
+			{ x: x0, y: y0 },
+			{ x: x1, y: y0 },
+			{ x: x1, y: y1 },
+			{ x: x0, y: y1 },
+		];
+	};
 }
 
 export class SyntheticEvent {
-	constructor({ clientX, clientY }) {
+	constructor({ clientX, clientY, pressure, tiltX, tiltY }) {
 		this.clientX = clientX;
 		this.clientY = clientY;
+		this.pressure = pressure;
+		this.tiltX = tiltX;
+		this.tiltY = tiltY;
 		this.touches = [{ clientX, clientY }];
 	}
 
 	preventDefault = () => {};
 }
 
+/**
+ * Wraps a pointer event for the states above. Fingers arrive as separate
+ * pointers, so the event gets the `touches` of a touch event: every finger
+ * currently on the canvas, which pinch and pan gestures are detected from.
+ */
+export class PointerInputEvent {
+	/**
+	 * @param {PointerEvent} e the (React) pointer event.
+	 * @param {Object[]} touches the client points of the touch pointers that
+	 * are down, including this event's if it is one.
+	 * @param {boolean} navigates whether the event pans and zooms instead of
+	 * using the tool, as fingers do in the pen-only input mode.
+	 */
+	constructor(e, touches, navigates = false) {
+		this.nativeEvent = e;
+		this.type = e.type;
+		this.target = e.target;
+		this.pointerId = e.pointerId;
+		this.pointerType = e.pointerType;
+		this.isPrimary = e.isPrimary;
+		this.clientX = e.clientX;
+		this.clientY = e.clientY;
+		this.pressure = e.pressure;
+		this.tiltX = e.tiltX;
+		this.tiltY = e.tiltY;
+		this.width = e.width;
+		this.height = e.height;
+		this.buttons = e.buttons;
+		this.altKey = e.altKey;
+		this.ctrlKey = e.ctrlKey;
+		this.metaKey = e.metaKey;
+		this.shiftKey = e.shiftKey;
+		this.touches = e.pointerType === 'touch' ? touches : undefined;
+		this.navigates = navigates;
+	}
+
+	preventDefault = () => this.nativeEvent.preventDefault();
+}
+
+/**
+ * Turns the canvas' pointer events into PointerInputEvents for the states
+ * above. It keeps track of the fingers on the canvas. With the `inputMode`
+ * prop set to 'pen', only the pen draws and fingers navigate: it ignores every
+ * event of a mouse that went down, of a pointer that went down as a palm (a
+ * touch with a large contact, or one starting while the pen is on or just
+ * above the screen), and of the pen while fingers navigate.
+ */
+export class PointerTracker {
+	constructor() {
+		// The client points of the fingers on the canvas, by pointer id
+		this.touches = {};
+		this.ignoredPointers = {};
+		this.lastPenTimestamp = -Infinity;
+	}
+
+	/**
+	 * @returns {PointerInputEvent|null} the event for the interaction state
+	 * machine, or null if it should be ignored.
+	 */
+	track(e, canvasDraw) {
+		const { pointerId, pointerType, type } = e;
+		const isEnd = type === 'pointerup' || type === 'pointercancel';
+		const timestamp = new Date().valueOf();
+		const penOnly = canvasDraw.props.inputMode === 'pen';
+
+		if (type === 'pointerdown' && this.shouldIgnore(e, penOnly, timestamp)) {
+			this.ignoredPointers[pointerId] = true;
+		}
+		if (this.ignoredPointers[pointerId]) {
+			if (isEnd) delete this.ignoredPointers[pointerId];
+			return null;
+		}
+
+		if (pointerType === 'pen') {
+			this.lastPenTimestamp = timestamp;
+		} else if (pointerType === 'touch') {
+			if (isEnd) {
+				delete this.touches[pointerId];
+			} else if (type === 'pointerdown' || this.touches[pointerId]) {
+				this.touches[pointerId] = { clientX: e.clientX, clientY: e.clientY };
+			} else {
+				// e.g. leaving the canvas after being lifted
+				return null;
+			}
+		}
+
+		return new PointerInputEvent(
+			e,
+			Object.keys(this.touches).map((id) => this.touches[id]),
+			penOnly && pointerType === 'touch'
+		);
+	}
+
+	shouldIgnore(e, penOnly, timestamp) {
+		if (!penOnly) return false;
+
+		if (e.pointerType === 'pen') {
+			return Object.keys(this.touches).length > 0;
+		} else if (e.pointerType === 'touch') {
+			return (
+				Math.max(e.width || 0, e.height || 0) > PALM_CONTACT_SIZE ||
+				timestamp - this.lastPenTimestamp < PALM_PEN_TIMEOUT_MS
+			);
+		}
+		return true;
+	}
+}
+
+/**
+ * @returns {Object} the pen's pressure and tilt that DrawingState records with
+ * each point of a stroke, or nothing for mouse input, whose strokes keep a
+ * constant width.
+ */
+export function penDetailsFromEvent(e) {
+	if (e.pointerType === 'mouse' || !(e.pressure > 0)) return {};
+	return { pressure: e.pressure, tiltX: e.tiltX || 0, tiltY: e.tiltY || 0 };
+}
+
 export function clientPointFromEvent(e) {
 	// use cursor pos as default
 	let clientX = e.clientX;
@@ -515,3 +748,8 @@ export function clientPointFromEvent(e) {
 export function viewPointFromEvent(coordSystem, e) {
 	return coordSystem.clientPointToViewPoint(clientPointFromEvent(e));
 }
+
+export function documentPointFromEvent(canvasDraw, e) {
+	const { x, y } = viewPointFromEvent(canvasDraw.coordSystem, e);
+	return { x: x * canvasDraw.props.scale, y: y * canvasDraw.props.scale };
+}
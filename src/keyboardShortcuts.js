@@ -0,0 +1,79 @@
+/**
+ * The default keyboard shortcuts, by key combination. A combination is the
+ * event's `key` (lower case, "space" for the space bar) prefixed with the
+ * held modifiers, in the order `mod+alt+shift+`; "mod" is Ctrl or Cmd.
+ * Shift is left out for symbols like "+", which already depend on it.
+ *
+ * An entry is either the name of an action or `{ tool }`, which asks the
+ * parent to switch to that tool.
+ */
+export const DEFAULT_KEY_MAP = {
+	'mod+z': 'undo',
+	'mod+shift+z': 'redo',
+	'mod+y': 'redo',
+	space: 'pan',
+	'+': 'zoomIn',
+	'=': 'zoomIn',
+	'-': 'zoomOut',
+	'0': 'resetView',
+	'[': 'decreaseBrushSize',
+	']': 'increaseBrushSize',
+};
+
+export const SHORTCUT_ACTIONS = [
+	'undo',
+	'redo',
+	'pan',
+	'zoomIn',
+	'zoomOut',
+	'resetView',
+	'decreaseBrushSize',
+	'increaseBrushSize',
+];
+
+// The factor the zoom shortcuts scale the view by
+export const KEYBOARD_ZOOM_FACTOR = 1.25;
+
+/**
+ * @returns {string} the key combination of a keyboard event, see
+ * DEFAULT_KEY_MAP.
+ */
+export function keyComboFromEvent({ key, ctrlKey, metaKey, altKey, shiftKey }) {
+	const name = key === ' ' ? 'space' : key.toLowerCase();
+	const modifiers = [];
+	if (ctrlKey || metaKey) modifiers.push('mod');
+	if (altKey) modifiers.push('alt');
+	const isSymbol = name.length === 1 && name.toUpperCase() === name;
+	if (shiftKey && !isSymbol) modifiers.push('shift');
+	return [...modifiers, name].join('+');
+}
+
+/**
+ * Merges the given key map over the default one. Combinations are matched
+ * regardless of case and mapping one to null removes its default shortcut.
+ * @returns {Object} the resulting key map.
+ */
+export function createKeyMap(keyMap) {
+	const merged = { ...DEFAULT_KEY_MAP };
+	Object.keys(keyMap || {}).forEach((combo) => {
+		const shortcut = keyMap[combo];
+		const normalized = combo.toLowerCase();
+		if (shortcut === null) {
+			delete merged[normalized];
+		} else if (typeof shortcut === 'string' && SHORTCUT_ACTIONS.indexOf(shortcut) === -1) {
+			throw new Error(`Unknown shortcut action "${shortcut}"!`);
+		} else {
+			merged[normalized] = shortcut;
+		}
+	});
+	return merged;
+}
+
+/**
+ * @returns {number} the brush radius one `[` or `]` press away from the
+ * given one: about a fifth smaller or larger, at least 1.
+ */
+export function stepBrushRadius(radius, direction) {
+	const step = Math.max(1, Math.round(radius / 5));
+	return Math.max(1, radius + direction * step);
+}
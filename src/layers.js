@@ -0,0 +1,113 @@
+import { renderOperations } from './renderOperations';
+
+// The blend modes of layers, named like CSS' mix-blend-mode
+export const BLEND_MODES = [
+	'normal',
+	'multiply',
+	'screen',
+	'overlay',
+	'darken',
+	'lighten',
+	'color-dodge',
+	'color-burn',
+	'hard-light',
+	'soft-light',
+	'difference',
+	'exclusion',
+	'hue',
+	'saturation',
+	'color',
+	'luminosity',
+];
+
+const LAYER_DEFAULTS = {
+	visible: true,
+	locked: false,
+	opacity: 1,
+	blendMode: 'normal',
+};
+
+/**
+ * @returns {Object} a new layer (`{ id, name, visible, locked, opacity,
+ * blendMode }`) with an id that none of the given layers has. Like
+ * operations, layers are immutable; changes replace them.
+ */
+export function createLayer(layers, properties = {}) {
+	const numbers = layers.map(({ id }) => {
+		const match = /^layer-(\d+)$/.exec(id);
+		return match ? Number(match[1]) : 0;
+	});
+	const number = Math.max(0, ...numbers) + 1;
+	return {
+		id: `layer-${number}`,
+		name: `Layer ${number}`,
+		...LAYER_DEFAULTS,
+		...properties,
+	};
+}
+
+/**
+ * @returns {Object[]} the layers of a new drawing: a single one.
+ */
+export function defaultLayers() {
+	return [createLayer([])];
+}
+
+/**
+ * Checks the changes to a layer's properties.
+ */
+export function validateLayerChanges({ opacity, blendMode }) {
+	if (opacity !== undefined && !(opacity >= 0 && opacity <= 1)) {
+		throw new Error(`Layer opacity ${opacity} is not between 0 and 1!`);
+	}
+	if (blendMode !== undefined && BLEND_MODES.indexOf(blendMode) === -1) {
+		throw new Error(`Unknown layer blend mode "${blendMode}"!`);
+	}
+}
+
+function compositeOperation(blendMode) {
+	return blendMode === 'normal' ? 'source-over' : blendMode;
+}
+
+/**
+ * Draws the visible layers, bottom to top, onto the context, each with its
+ * opacity and blend mode.
+ * @param {CanvasRenderingContext2D} ctx the context to draw onto.
+ * @param {Object[]} layers the layers, bottom to top.
+ * @param {Function} getCanvas returns the canvas a layer was rendered to, by
+ * its id. It covers the context's canvas pixel by pixel.
+ */
+export function compositeLayers(ctx, layers, getCanvas) {
+	layers.forEach((layer) => {
+		if (!layer.visible || layer.opacity === 0) return;
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.globalAlpha = layer.opacity;
+		ctx.globalCompositeOperation = compositeOperation(layer.blendMode);
+		ctx.drawImage(getCanvas(layer.id), 0, 0);
+		ctx.restore();
+	});
+}
+
+/**
+ * Renders the operations of each visible layer and composites the layers onto
+ * the context, using the context's current transform. Erasing only affects
+ * the layer the eraser stroke is on.
+ */
+export function renderLayers(ctx, layers, operations) {
+	const layerCtx = document.createElement('canvas').getContext('2d');
+	layerCtx.canvas.width = ctx.canvas.width;
+	layerCtx.canvas.height = ctx.canvas.height;
+
+	layers.forEach((layer) => {
+		if (!layer.visible) return;
+		layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+		layerCtx.clearRect(0, 0, layerCtx.canvas.width, layerCtx.canvas.height);
+		layerCtx.setTransform(ctx.getTransform());
+		renderOperations(
+			layerCtx,
+			operations.filter((operation) => operation.layer === layer.id)
+		);
+		compositeLayers(ctx, [layer], () => layerCtx.canvas);
+	});
+}
@@ -0,0 +1,296 @@
+/**
+ * A reversible change to a list of drawing operations. Commands only hold
+ * references to the (immutable) operation objects they add or remove, so the
+ * memory cost of a history step is independent of the canvas size.
+ */
+export class SpliceCommand {
+	/**
+	 * @param {Object} parameters
+	 * @param {string} parameters.type a short description of the change (e.g. "add", "clear").
+	 * @param {number} parameters.index the position in the operation list where the change happens.
+	 * @param {Object[]} parameters.removed the operations removed at that position.
+	 * @param {Object[]} parameters.inserted the operations inserted at that position.
+	 */
+	constructor({ type, index, removed = [], inserted = [] }) {
+		this.type = type;
+		this.index = index;
+		this.removed = removed;
+		this.inserted = inserted;
+	}
+
+	apply = (operations) => {
+		spliceOperations(operations, this.index, this.removed, this.inserted);
+	};
+
+	revert = (operations) => {
+		spliceOperations(operations, this.index, this.inserted, this.removed);
+	};
+}
+
+/**
+ * Replaces the operations at the index. If other changes (e.g. by
+ * collaborators, see collaboration.js) moved them, they're looked up by
+ * object or id, and the replacements go at the index.
+ */
+function spliceOperations(operations, index, removed, inserted) {
+	const inPlace = removed.every(
+		(operation, i) => operations[index + i] === operation
+	);
+	if (inPlace) {
+		operations.splice(index, removed.length, ...inserted);
+		return;
+	}
+
+	removed.forEach((operation) => {
+		const found = operations.findIndex(
+			(other) =>
+				other === operation || (operation.id !== undefined && other.id === operation.id)
+		);
+		if (found !== -1) operations.splice(found, 1);
+	});
+	operations.splice(Math.min(index, operations.length), 0, ...inserted);
+}
+
+/**
+ * Groups several commands into a single history step.
+ */
+export class BatchCommand {
+	constructor({ type, commands }) {
+		this.type = type;
+		this.commands = commands;
+	}
+
+	apply = (operations, history) => {
+		this.commands.forEach((command) => command.apply(operations, history));
+	};
+
+	revert = (operations, history) => {
+		for (let i = this.commands.length - 1; i >= 0; i--) {
+			this.commands[i].revert(operations, history);
+		}
+	};
+}
+
+/**
+ * A reversible change to the drawing's layers (see layers.js). Layers are
+ * immutable like operations, so the command holds the whole (short) layer
+ * list before and after the change.
+ */
+export class LayersCommand {
+	constructor({ type, before, after }) {
+		this.type = type;
+		this.before = before;
+		this.after = after;
+	}
+
+	apply = (operations, history) => {
+		history.layers = this.after;
+	};
+
+	revert = (operations, history) => {
+		history.layers = this.before;
+	};
+}
+
+export function addOperation(operations, operation, index = operations.length) {
+	return new SpliceCommand({
+		type: 'add',
+		index,
+		inserted: [operation],
+	});
+}
+
+/**
+ * @param {Object[]} operations the current operation list.
+ * @param {Object[]} originals operations of the list to replace.
+ * @param {Object[]} replacements the new version of each of the originals.
+ * @returns {BatchCommand} a single step replacing the operations in place.
+ */
+export function replaceOperations(operations, originals, replacements) {
+	return new BatchCommand({
+		type: 'replace',
+		commands: originals.map(
+			(original, i) =>
+				new SpliceCommand({
+					type: 'replace',
+					index: operations.indexOf(original),
+					removed: [original],
+					inserted: [replacements[i]],
+				})
+		),
+	});
+}
+
+/**
+ * @returns {BatchCommand} a single step removing the given operations of the
+ * list.
+ */
+export function removeOperations(operations, removed) {
+	// Remove from the back, so that the indices of the others stay valid
+	const indices = removed
+		.map((operation) => operations.indexOf(operation))
+		.sort((a, b) => b - a);
+	return new BatchCommand({
+		type: 'remove',
+		commands: indices.map(
+			(index) =>
+				new SpliceCommand({
+					type: 'remove',
+					index,
+					removed: [operations[index]],
+				})
+		),
+	});
+}
+
+export function clearOperations(operations) {
+	return new SpliceCommand({
+		type: 'clear',
+		index: 0,
+		removed: operations.slice(),
+	});
+}
+
+/**
+ * @returns {Object} the operations `added` and `removed` by applying the
+ * command. Replaced operations are in both.
+ */
+export function operationChanges(command) {
+	if (command instanceof SpliceCommand) {
+		return { added: command.inserted, removed: command.removed };
+	}
+	const changes = { added: [], removed: [] };
+	(command.commands || []).forEach((child) => {
+		const { added, removed } = operationChanges(child);
+		changes.added.push(...added);
+		changes.removed.push(...removed);
+	});
+	return changes;
+}
+
+function sameOperation(a, b) {
+	return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compares the operation list with a target list, e.g. of a document that
+ * went through JSON. Operations at both ends that are equal (but not
+ * necessarily the same objects) are kept.
+ * @returns {SpliceCommand | null} a single step turning the list into the
+ * target, or null if they are equal.
+ */
+export function diffOperations(operations, target, type = 'diff') {
+	let start = 0;
+	while (
+		start < operations.length &&
+		start < target.length &&
+		sameOperation(operations[start], target[start])
+	) {
+		start++;
+	}
+	let end = 0;
+	while (
+		end < operations.length - start &&
+		end < target.length - start &&
+		sameOperation(
+			operations[operations.length - 1 - end],
+			target[target.length - 1 - end]
+		)
+	) {
+		end++;
+	}
+
+	const removed = operations.slice(start, operations.length - end);
+	const inserted = target.slice(start, target.length - end);
+	if (!removed.length && !inserted.length) return null;
+	return new SpliceCommand({ type, index: start, removed, inserted });
+}
+
+/**
+ * Owns the ordered list of drawing operations (strokes, shapes, fills, ...)
+ * and the layers they are on, and records every change to them as a command
+ * that can be undone and redone.
+ */
+export default class OperationHistory {
+	/**
+	 * @param {Object} parameters
+	 * @param {number} parameters.maxDepth the maximum number of undoable steps.
+	 * Older steps stay in the drawing but can no longer be undone.
+	 * @param {Object[]} parameters.layers the drawing's layers, bottom to top.
+	 */
+	constructor({ maxDepth = Infinity, layers = [] } = {}) {
+		this.operations = [];
+		this.layers = layers;
+		this._undoStack = [];
+		this._redoStack = [];
+		this.maxDepth = maxDepth;
+	}
+
+	get maxDepth() {
+		return this._maxDepth;
+	}
+
+	set maxDepth(maxDepth) {
+		this._maxDepth = Math.max(0, maxDepth);
+		this._trim();
+	}
+
+	/**
+	 * Applies the command to the operation list and makes it undoable. Any
+	 * previously undone steps are discarded.
+	 */
+	execute = (command) => {
+		command.apply(this.operations, this);
+		this._undoStack.push(command);
+		this._redoStack = [];
+		this._trim();
+		return command;
+	};
+
+	/**
+	 * @returns {SpliceCommand | BatchCommand | LayersCommand | null} the reverted command, or
+	 * null if there was nothing to undo.
+	 */
+	undo = () => {
+		const command = this._undoStack.pop();
+		if (!command) return null;
+
+		command.revert(this.operations, this);
+		this._redoStack.push(command);
+		return command;
+	};
+
+	/**
+	 * @returns {SpliceCommand | BatchCommand | LayersCommand | null} the re-applied command, or
+	 * null if there was nothing to redo.
+	 */
+	redo = () => {
+		const command = this._redoStack.pop();
+		if (!command) return null;
+
+		command.apply(this.operations, this);
+		this._undoStack.push(command);
+		return command;
+	};
+
+	canUndo = () => this._undoStack.length > 0;
+
+	canRedo = () => this._redoStack.length > 0;
+
+	/**
+	 * Replaces the operation list (and the layers, if given) and forgets all
+	 * undo and redo steps.
+	 */
+	reset = (operations = [], layers = this.layers) => {
+		this.operations = operations;
+		this.layers = layers;
+		this._undoStack = [];
+		this._redoStack = [];
+	};
+
+	_trim() {
+		if (this._undoStack.length > this._maxDepth) {
+			this._undoStack.splice(0, this._undoStack.length - this._maxDepth);
+		}
+	}
+}
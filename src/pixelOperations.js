@@ -0,0 +1,572 @@
+/**
+ * Creates the pixel operations (flood fill, mask helpers, image scaling).
+ *
+ * This function is also the source of the Web Worker that runs them off the
+ * main thread: its text is copied into the worker with toString(). Everything
+ * it uses must therefore be defined inside of it, and it must stay free of
+ * syntax that the build compiles into shared helpers (classes, array
+ * destructuring, spread, for...of, typeof), and from coverage counters,
+ * hence the istanbul hint.
+ */
+/* istanbul ignore next */
+export function createPixelOperations() {
+	function getColorAtPixel(imageData, x, y) {
+		const width = imageData.width;
+		const data = imageData.data;
+
+		const startPos = 4 * (y * width + x);
+		if (data[startPos + 3] === undefined) {
+			throw new Error('Invalid pixel coordinates: x=' + x + '; y=' + y);
+		}
+		return {
+			r: data[startPos],
+			g: data[startPos + 1],
+			b: data[startPos + 2],
+			a: data[startPos + 3],
+		};
+	}
+
+	function setColorAtPixel(imageData, color, x, y) {
+		const width = imageData.width;
+		const data = imageData.data;
+		const startPos = 4 * (y * width + x);
+		if (data[startPos + 3] === undefined) {
+			throw new Error(
+				'Invalid pixel coordinates. Cannot set color at: x=' + x + '; y=' + y
+			);
+		}
+		data[startPos + 0] = color.r & 0xff;
+		data[startPos + 1] = color.g & 0xff;
+		data[startPos + 2] = color.b & 0xff;
+		data[startPos + 3] = color.a & 0xff;
+	}
+
+	function isSameColor(a, b, tolerance) {
+		tolerance = tolerance || 0;
+		return !(
+			Math.abs(a.r - b.r) > tolerance ||
+			Math.abs(a.g - b.g) > tolerance ||
+			Math.abs(a.b - b.b) > tolerance ||
+			Math.abs(a.a - b.a) > tolerance
+		);
+	}
+
+	/**
+	 * Converts a per-pixel mask (non-zero = filled) into horizontal runs of the
+	 * form [y, startX, endX], with both ends inclusive.
+	 */
+	function maskToSpans(mask, width, height) {
+		const spans = [];
+		for (let y = 0; y < height; y++) {
+			let x = 0;
+			while (x < width) {
+				if (!mask[y * width + x]) {
+					x++;
+					continue;
+				}
+				const start = x;
+				while (x < width && mask[y * width + x]) x++;
+				spans.push([y, start, x - 1]);
+			}
+		}
+		return spans;
+	}
+
+	/**
+	 * @returns {Uint8Array} a mask of the pixels that are not part of the given
+	 * mask but touch it (including diagonally), i.e. its one pixel wide outline.
+	 */
+	function outlineMask(mask, width, height) {
+		const outline = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				if (mask[y * width + x]) continue;
+
+				search: for (let dy = -1; dy <= 1; dy++) {
+					const ny = y + dy;
+					if (ny < 0 || ny >= height) continue;
+					for (let dx = -1; dx <= 1; dx++) {
+						const nx = x + dx;
+						if (nx >= 0 && nx < width && mask[ny * width + nx]) {
+							outline[y * width + x] = 1;
+							break search;
+						}
+					}
+				}
+			}
+		}
+		return outline;
+	}
+
+	/**
+	 * @returns {Uint8Array} the mask grown by the given radius in every direction
+	 * (a square structuring element), computed with two separable passes.
+	 */
+	function dilateMask(mask, width, height, radius) {
+		const horizontal = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			let count = 0;
+			// Number of set pixels in the window [x - radius, x + radius]
+			for (let x = 0; x < Math.min(radius, width); x++) count += mask[y * width + x];
+			for (let x = 0; x < width; x++) {
+				if (x + radius < width) count += mask[y * width + x + radius];
+				if (x - radius - 1 >= 0) count -= mask[y * width + x - radius - 1];
+				horizontal[y * width + x] = count > 0 ? 1 : 0;
+			}
+		}
+
+		const dilated = new Uint8Array(width * height);
+		for (let x = 0; x < width; x++) {
+			let count = 0;
+			for (let y = 0; y < Math.min(radius, height); y++) count += horizontal[y * width + x];
+			for (let y = 0; y < height; y++) {
+				if (y + radius < height) count += horizontal[(y + radius) * width + x];
+				if (y - radius - 1 >= 0) count -= horizontal[(y - radius - 1) * width + x];
+				dilated[y * width + x] = count > 0 ? 1 : 0;
+			}
+		}
+		return dilated;
+	}
+
+	/**
+	 * Scanline flood fill. Queue entries are [startX, endX, y, parentY].
+	 */
+	function FloodFill(imageData) {
+		this.imageData = imageData;
+		// The pixels changed by the fill (1 = filled)
+		this.mask = new Uint8Array(imageData.width * imageData.height);
+		this.modifiedPixelsCount = 0;
+		this._tolerance = 0;
+		this._queue = [];
+		this._replacedColor = null;
+		this._newColor = null;
+		this._barrier = null;
+		// Allow for custom implementations of the following methods
+		this.isSameColor = isSameColor;
+		this.setColorAtPixel = setColorAtPixel;
+		this.getColorAtPixel = getColorAtPixel;
+		// Colors are passed as { r, g, b, a } unless this is replaced
+		this.colorToRGBA = function (color) {
+			return color;
+		};
+	}
+
+	/**
+	 * If gapSize is given, openings of up to that many pixels in the
+	 * boundary of the area are treated as closed: the boundary is thickened
+	 * by half the gap size before filling, and the fill is grown back into the
+	 * thickened part afterwards.
+	 */
+	FloodFill.prototype.fill = function (color, x, y, tolerance, gapSize) {
+		this._newColor = this.colorToRGBA(color);
+		this._replacedColor = this.getColorAtPixel(this.imageData, x, y);
+		this._tolerance = tolerance;
+		if (
+			this.isSameColor(this._replacedColor, this._newColor, this._tolerance)
+		) {
+			return;
+		}
+
+		const radius = Math.ceil((gapSize || 0) / 2);
+		if (radius > 0) {
+			this._barrier = this.createBarrier(radius);
+			// Clicked right next to the boundary, so there's nothing to protect
+			if (this._barrier[y * this.imageData.width + x]) this._barrier = null;
+		}
+
+		this.addToQueue([x, x, y, -1]);
+		this.fillQueue();
+
+		if (this._barrier) {
+			this._barrier = null;
+			this.growIntoBoundary(radius);
+		}
+	};
+
+	/**
+	 * @returns {Uint8Array} the pixels that don't match the replaced color,
+	 * thickened by the given radius.
+	 */
+	FloodFill.prototype.createBarrier = function (radius) {
+		const width = this.imageData.width;
+		const height = this.imageData.height;
+		const boundary = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				boundary[y * width + x] = this.isValidTarget({ x: x, y: y }) ? 0 : 1;
+			}
+		}
+		return dilateMask(boundary, width, height, radius);
+	};
+
+	/**
+	 * Extends the filled area pixel by pixel into matching pixels that were
+	 * excluded by the barrier, at most `steps` pixels deep.
+	 */
+	FloodFill.prototype.growIntoBoundary = function (steps) {
+		const width = this.imageData.width;
+		const height = this.imageData.height;
+		for (let step = 0; step < steps; step++) {
+			const grown = [];
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					if (
+						!this.mask[y * width + x] &&
+						this.touchesMask(x, y) &&
+						this.isValidTarget({ x: x, y: y })
+					) {
+						grown.push({ x: x, y: y });
+					}
+				}
+			}
+			if (!grown.length) return;
+			for (let i = 0; i < grown.length; i++) {
+				this.setPixelColor(this._newColor, grown[i]);
+			}
+		}
+	};
+
+	FloodFill.prototype.touchesMask = function (x, y) {
+		const width = this.imageData.width;
+		const height = this.imageData.height;
+		for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+			for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+				if (this.mask[ny * width + nx]) return true;
+			}
+		}
+		return false;
+	};
+
+	FloodFill.prototype.addToQueue = function (line) {
+		this._queue.push(line);
+	};
+
+	FloodFill.prototype.popFromQueue = function () {
+		if (!this._queue.length) {
+			return null;
+		}
+		return this._queue.pop();
+	};
+
+	FloodFill.prototype.isValidTarget = function (pixel) {
+		if (pixel === null) {
+			return;
+		}
+		if (this._barrier && this._barrier[pixel.y * this.imageData.width + pixel.x]) {
+			return false;
+		}
+		const pixelColor = this.getColorAtPixel(this.imageData, pixel.x, pixel.y);
+		return this.isSameColor(this._replacedColor, pixelColor, this._tolerance);
+	};
+
+	FloodFill.prototype.fillLineAt = function (x, y) {
+		if (!this.isValidTarget({ x: x, y: y })) {
+			return [-1, -1];
+		}
+		this.setPixelColor(this._newColor, { x: x, y: y });
+		let minX = x;
+		let maxX = x;
+		let px = this.getPixelNeighbour('left', minX, y);
+		while (px && this.isValidTarget(px)) {
+			this.setPixelColor(this._newColor, px);
+			minX = px.x;
+			px = this.getPixelNeighbour('left', minX, y);
+		}
+		px = this.getPixelNeighbour('right', maxX, y);
+		while (px && this.isValidTarget(px)) {
+			this.setPixelColor(this._newColor, px);
+			maxX = px.x;
+			px = this.getPixelNeighbour('right', maxX, y);
+		}
+		return [minX, maxX];
+	};
+
+	FloodFill.prototype.fillQueue = function () {
+		let line = this.popFromQueue();
+		while (line) {
+			const start = line[0];
+			const end = line[1];
+			const y = line[2];
+			const parentY = line[3];
+			let currX = start;
+			while (currX !== -1 && currX <= end) {
+				const filled = this.fillLineAt(currX, y);
+				const lineStart = filled[0];
+				const lineEnd = filled[1];
+				if (lineStart !== -1) {
+					if (lineStart >= start && lineEnd <= end && parentY !== -1) {
+						if (parentY < y && y + 1 < this.imageData.height) {
+							this.addToQueue([lineStart, lineEnd, y + 1, y]);
+						}
+						if (parentY > y && y > 0) {
+							this.addToQueue([lineStart, lineEnd, y - 1, y]);
+						}
+					} else {
+						if (y > 0) {
+							this.addToQueue([lineStart, lineEnd, y - 1, y]);
+						}
+						if (y + 1 < this.imageData.height) {
+							this.addToQueue([lineStart, lineEnd, y + 1, y]);
+						}
+					}
+				}
+				if (lineEnd === -1 && currX <= end) {
+					currX += 1;
+				} else {
+					currX = lineEnd + 1;
+				}
+			}
+			line = this.popFromQueue();
+		}
+	};
+
+	FloodFill.prototype.setPixelColor = function (color, pixel) {
+		this.setColorAtPixel(this.imageData, color, pixel.x, pixel.y);
+		this.modifiedPixelsCount++;
+		this.mask[pixel.y * this.imageData.width + pixel.x] = 1;
+	};
+
+	FloodFill.prototype.getPixelNeighbour = function (direction, x, y) {
+		x = x | 0;
+		y = y | 0;
+		let coords;
+		switch (direction) {
+			case 'right':
+				coords = { x: (x + 1) | 0, y: y };
+				break;
+			case 'left':
+				coords = { x: (x - 1) | 0, y: y };
+				break;
+			default:
+				throw new Error(`Unknown direction "${direction}"!`);
+		}
+		if (coords.x >= 0 && coords.x < this.imageData.width) {
+			return coords;
+		}
+		return null;
+	};
+
+	/**
+	 * Flood fills the image from the given point.
+	 * @returns {Object|null} the filled area and its one pixel wide outline as
+	 * spans ({ spans, edgeSpans }), or null if nothing was filled.
+	 */
+	function fillArea(imageData, x, y, color, tolerance, gapSize) {
+		const floodFill = new FloodFill(imageData);
+		floodFill.fill(color, x, y, tolerance, gapSize);
+		if (!floodFill.modifiedPixelsCount) return null;
+
+		const width = imageData.width;
+		const height = imageData.height;
+		return {
+			spans: maskToSpans(floodFill.mask, width, height),
+			edgeSpans: maskToSpans(
+				outlineMask(floodFill.mask, width, height),
+				width,
+				height
+			),
+		};
+	}
+
+	/**
+	 * @returns {Object} the image ({ width, height, data }) enlarged by the
+	 * given integer factor, repeating every pixel.
+	 */
+	function scaleImageData(imageData, scale) {
+		const width = imageData.width * scale;
+		const height = imageData.height * scale;
+		const source = imageData.data;
+		const data = new Uint8ClampedArray(width * height * 4);
+
+		for (let row = 0; row < imageData.height; row++) {
+			for (let col = 0; col < imageData.width; col++) {
+				const sourcePos = (row * imageData.width + col) * 4;
+				for (let y = 0; y < scale; y++) {
+					const destRow = row * scale + y;
+					for (let x = 0; x < scale; x++) {
+						const destPos = (destRow * width + col * scale + x) * 4;
+						for (let i = 0; i < 4; i++) {
+							data[destPos + i] = source[sourcePos + i];
+						}
+					}
+				}
+			}
+		}
+
+		return { width: width, height: height, data: data };
+	}
+
+	/**
+	 * @returns {Object} the bounds ({ x, y, width, height }) of the pixels
+	 * that aren't fully transparent, or null if there are none.
+	 */
+	function opaqueBounds(imageData) {
+		const width = imageData.width;
+		const height = imageData.height;
+		const data = imageData.data;
+		let minX = width;
+		let minY = height;
+		let maxX = -1;
+		let maxY = -1;
+
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				if (data[(y * width + x) * 4 + 3] !== 0) {
+					minX = Math.min(minX, x);
+					maxX = Math.max(maxX, x);
+					minY = Math.min(minY, y);
+					maxY = y;
+				}
+			}
+		}
+
+		if (maxY === -1) return null;
+		return {
+			x: minX,
+			y: minY,
+			width: maxX - minX + 1,
+			height: maxY - minY + 1,
+		};
+	}
+
+	return {
+		getColorAtPixel: getColorAtPixel,
+		setColorAtPixel: setColorAtPixel,
+		isSameColor: isSameColor,
+		maskToSpans: maskToSpans,
+		outlineMask: outlineMask,
+		dilateMask: dilateMask,
+		FloodFill: FloodFill,
+		fillArea: fillArea,
+		scaleImageData: scaleImageData,
+		opaqueBounds: opaqueBounds,
+	};
+}
+
+// The operations that can be requested with runPixelOperation
+const pixelOperations = createPixelOperations();
+
+function workerSource() {
+	return [
+		'var operations = (' + createPixelOperations.toString() + ')();',
+		'self.onmessage = function (event) {',
+		'  var message = event.data;',
+		'  try {',
+		'    var result = operations[message.name].apply(null, message.args);',
+		'    var transfer = result && result.data && result.data.buffer ? [result.data.buffer] : [];',
+		'    self.postMessage({ id: message.id, result: result }, transfer);',
+		'  } catch (error) {',
+		'    self.postMessage({ id: message.id, error: String(error && error.message || error) });',
+		'  }',
+		'};',
+	].join('\n');
+}
+
+let worker;
+// Whether the worker has answered yet, i.e. whether it loaded
+let workerResponded = false;
+let nextMessageId = 0;
+const pendingMessages = {};
+
+function runOnMainThread(name, args) {
+	return new Promise((resolve) => resolve(pixelOperations[name].apply(null, args)));
+}
+
+/**
+ * Runs the operations still waiting for the worker on the main thread
+ * instead. Those whose buffers were moved to the worker are rejected.
+ */
+function runPendingMessagesOnMainThread(error) {
+	Object.keys(pendingMessages).forEach((id) => {
+		const { name, args, transferred, resolve, reject } = pendingMessages[id];
+		delete pendingMessages[id];
+		if (transferred) {
+			reject(error);
+		} else {
+			runOnMainThread(name, args).then(resolve, reject);
+		}
+	});
+}
+
+/**
+ * @returns {Worker|null} the shared pixel worker, or null where workers (or
+ * workers created from Blob URLs, e.g. due to a Content Security Policy) are
+ * not available.
+ */
+function getWorker() {
+	if (worker !== undefined) return worker;
+
+	worker = null;
+	if (
+		typeof Worker === 'undefined' ||
+		typeof Blob === 'undefined' ||
+		typeof URL === 'undefined' ||
+		!URL.createObjectURL
+	) {
+		return worker;
+	}
+
+	try {
+		const url = URL.createObjectURL(
+			new Blob([workerSource()], { type: 'application/javascript' })
+		);
+		worker = new Worker(url);
+	} catch (e) {
+		return worker;
+	}
+
+	worker.onmessage = ({ data }) => {
+		workerResponded = true;
+		const pending = pendingMessages[data.id];
+		if (!pending) return;
+
+		delete pendingMessages[data.id];
+		if (data.error) {
+			pending.reject(new Error(data.error));
+		} else {
+			pending.resolve(data.result);
+		}
+	};
+	worker.onerror = (event) => {
+		// The worker can't be used (e.g. it failed to load), so run everything
+		// on the main thread from now on.
+		event.preventDefault();
+		worker.terminate();
+		worker = null;
+		runPendingMessagesOnMainThread(
+			new Error('The pixel worker failed: ' + event.message)
+		);
+	};
+
+	return worker;
+}
+
+/**
+ * Runs one of the pixel operations in a Web Worker, or on the main thread
+ * where workers are not available.
+ * @param {string} name the name of the operation, e.g. "fillArea".
+ * @param {Array} args the arguments of the operation. They are copied to the
+ * worker, except for the buffers listed in transfer.
+ * @param {ArrayBuffer[]} transfer buffers to move to the worker instead of
+ * copying them. They can't be used by the caller afterwards.
+ * @returns {Promise} the result of the operation.
+ */
+export function runPixelOperation(name, args, transfer = []) {
+	if (typeof pixelOperations[name] !== 'function') {
+		return Promise.reject(new Error(`Unknown pixel operation "${name}"`));
+	}
+
+	const pixelWorker = getWorker();
+	if (!pixelWorker) return runOnMainThread(name, args);
+
+	// Until the worker is known to have loaded, the buffers are copied, so the
+	// operation can still run on the main thread if it didn't.
+	const transferred = workerResponded && transfer.length > 0;
+	return new Promise((resolve, reject) => {
+		const id = nextMessageId++;
+		pendingMessages[id] = { name, args, transferred, resolve, reject };
+		pixelWorker.postMessage({ id, name, args }, transferred ? transfer : []);
+	});
+}
+
+export default pixelOperations;
@@ -0,0 +1,169 @@
+/**
+ * Playback of a drawing in the rhythm it was drawn in. Points record the
+ * time since their stroke started (`t`, in milliseconds) and operations the
+ * time they were finished (`time`, a Unix timestamp in milliseconds).
+ * Operations and points drawn without (e.g. saved before timestamps were
+ * recorded) are played at a fixed interval instead.
+ */
+
+// Longer breaks between two operations are shortened to this, in milliseconds
+export const MAX_PLAYBACK_PAUSE = 1000;
+
+function pointTimes(points, pointInterval) {
+	return points.map(({ t }, i) => (t === undefined ? i * pointInterval : t));
+}
+
+/**
+ * @param {Object[]} operations the operations to play, in order.
+ * @param {number} pointInterval the time between two points, and between two
+ * operations, that weren't timed when drawn.
+ * @returns {Object} `{ entries, duration }`: each operation's `start` and
+ * `end` on the timeline (in milliseconds from its beginning) and the
+ * timeline's length.
+ */
+export function createTimeline(operations, pointInterval) {
+	let end = 0;
+	let previous = null;
+	const entries = operations.map((operation) => {
+		const times = operation.points ? pointTimes(operation.points, pointInterval) : [0];
+		const length = times[times.length - 1] - times[0];
+		const pause =
+			previous && previous.time !== undefined && operation.time !== undefined
+				? operation.time - length - previous.time
+				: pointInterval;
+		const start = end + Math.min(Math.max(pause, 0), MAX_PLAYBACK_PAUSE);
+		end = start + length;
+		previous = operation;
+		return { operation, start, end, times };
+	});
+	return { entries, duration: end };
+}
+
+/**
+ * @returns {Object} `{ count, partial }`: the number of operations finished
+ * at the given time of the timeline, and the operation in progress (with the
+ * points drawn so far), if any.
+ */
+export function timelineAt({ entries }, time) {
+	let count = 0;
+	while (count < entries.length && entries[count].end <= time) {
+		count++;
+	}
+	const entry = entries[count];
+	let partial = null;
+	if (entry && entry.start <= time && entry.operation.points) {
+		const elapsed = time - entry.start + entry.times[0];
+		const points = entry.operation.points.filter((point, i) => entry.times[i] <= elapsed);
+		partial = { ...entry.operation, points };
+	}
+	return { count, partial };
+}
+
+/**
+ * Plays a timeline, one animation frame at a time. Seeking and changing the
+ * speed work while playing or paused.
+ */
+export class PlaybackController {
+	/**
+	 * @param {Object} parameters
+	 * @param {Object} parameters.timeline see createTimeline.
+	 * @param {Function} parameters.render draws the drawing at a point in
+	 * time, see timelineAt: called with the number of finished operations and
+	 * the operation in progress.
+	 * @param {Function} parameters.onProgress called with `{ time, duration,
+	 * progress, playing }` after every frame, seek, pause and at the end.
+	 * @param {Function} parameters.requestFrame schedules the next frame, like
+	 * window.requestAnimationFrame.
+	 * @param {Function} parameters.cancelFrame cancels a scheduled frame.
+	 */
+	constructor({
+		timeline,
+		render,
+		onProgress,
+		requestFrame = (callback) => window.requestAnimationFrame(callback),
+		cancelFrame = (id) => window.cancelAnimationFrame(id),
+	}) {
+		this.timeline = timeline;
+		this.render = render;
+		this.onProgress = onProgress;
+		this.requestFrame = requestFrame;
+		this.cancelFrame = cancelFrame;
+		this.time = 0;
+		this.speed = 1;
+		this.playing = false;
+		this.frame = null;
+		this.lastTimestamp = null;
+	}
+
+	get duration() {
+		return this.timeline.duration;
+	}
+
+	play = () => {
+		if (this.playing) return;
+		// Play a finished playback again from the start
+		if (this.time >= this.duration) this.seek(0);
+		this.playing = true;
+		this.lastTimestamp = null;
+		this.frame = this.requestFrame(this.handleFrame);
+	};
+
+	pause = () => {
+		if (!this.playing) return;
+		this.playing = false;
+		this.cancelFrame(this.frame);
+		this.frame = null;
+		this.triggerProgress();
+	};
+
+	/**
+	 * Jumps to the given time (in milliseconds from the start).
+	 */
+	seek = (time) => {
+		this.time = Math.min(Math.max(time, 0), this.duration);
+		this.renderTime();
+	};
+
+	/**
+	 * Sets how many times faster than drawn to play, e.g. 2 or 0.5.
+	 */
+	setSpeed = (speed) => {
+		if (!(speed > 0)) {
+			throw new Error(`Playback speed ${speed} needs to be a positive number!`);
+		}
+		this.speed = speed;
+	};
+
+	handleFrame = (timestamp) => {
+		if (this.lastTimestamp !== null) {
+			this.time += (timestamp - this.lastTimestamp) * this.speed;
+		}
+		this.lastTimestamp = timestamp;
+
+		if (this.time >= this.duration) {
+			this.time = this.duration;
+			this.playing = false;
+			this.frame = null;
+		} else {
+			this.frame = this.requestFrame(this.handleFrame);
+		}
+		this.renderTime();
+	};
+
+	renderTime() {
+		const { count, partial } = timelineAt(this.timeline, this.time);
+		this.render(count, partial);
+		this.triggerProgress();
+	}
+
+	triggerProgress() {
+		const { time, duration, playing } = this;
+		this.onProgress &&
+			this.onProgress({
+				time,
+				duration,
+				progress: duration ? time / duration : 1,
+				playing,
+			});
+	}
+}
@@ -0,0 +1,111 @@
+/**
+ * Presence: where the other authors of a shared drawing (see
+ * collaboration.js) point and what they are drawing right now. Presence is
+ * sent through the same transport as the operation log, as messages
+ *
+ * `{ type: "presence", author, name, color, pointer, stroke }`
+ *
+ * where `pointer` is a point in document coordinates (null once the pointer
+ * left the canvas) and `stroke` the stroke in progress (or null). To keep
+ * messages small, a stroke's `points` only hold the points added since the
+ * previous message, starting at its `offset` in the stroke.
+ */
+
+// The default minimum time between two presence messages, in milliseconds
+export const DEFAULT_PRESENCE_INTERVAL = 50;
+
+/**
+ * @returns {string} a color for an author without the presenceColor prop,
+ * the same for the same author everywhere.
+ */
+export function authorColor(author) {
+	let hash = 0;
+	for (let i = 0; i < author.length; i++) {
+		hash = (hash * 31 + author.charCodeAt(i)) % 360;
+	}
+	return `hsl(${hash}, 70%, 45%)`;
+}
+
+/**
+ * Sends the local pointer and stroke in progress, at most once per interval.
+ * Updates in between are merged into the next message.
+ */
+export class PresenceSender {
+	/**
+	 * @param {Object} parameters
+	 * @param {Function} parameters.send called with `{ pointer, stroke }`.
+	 * @param {number} parameters.interval the minimum time between two
+	 * messages, in milliseconds.
+	 */
+	constructor({ send, interval = DEFAULT_PRESENCE_INTERVAL }) {
+		this.send = send;
+		this.interval = interval;
+		this.lastSent = -Infinity;
+		this.timer = null;
+		this.pending = null;
+		// The number of points of the current stroke sent so far
+		this.sentPoints = 0;
+	}
+
+	update = ({ pointer, stroke }) => {
+		this.pending = { pointer, stroke };
+		const wait = this.lastSent + this.interval - Date.now();
+		if (wait <= 0) {
+			this.flush();
+		} else if (!this.timer) {
+			this.timer = setTimeout(this.flush, wait);
+		}
+	};
+
+	/**
+	 * Sends the latest update right away, e.g. when a stroke ends.
+	 */
+	flush = () => {
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (!this.pending) return;
+
+		const { pointer, stroke } = this.pending;
+		this.pending = null;
+		this.lastSent = Date.now();
+		this.send({ pointer, stroke: this.strokeBatch(stroke) });
+	};
+
+	cancel = () => {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.pending = null;
+	};
+
+	strokeBatch(stroke) {
+		if (!stroke) {
+			this.sentPoints = 0;
+			return null;
+		}
+		const { points } = stroke;
+		// A new stroke started since the previous message
+		if (points.length < this.sentPoints) this.sentPoints = 0;
+		const offset = this.sentPoints;
+		this.sentPoints = points.length;
+		return { ...stroke, points: points.slice(offset), offset };
+	}
+}
+
+/**
+ * @param {Object} previous the author's presence as of the previous message.
+ * @param {Object} message a presence message.
+ * @returns {Object} the author's `{ name, color, pointer, stroke }`, with all
+ * the points of the stroke received so far.
+ */
+export function mergePresence(previous, { name, color, pointer, stroke }) {
+	let merged = null;
+	if (stroke) {
+		const { offset, points, ...style } = stroke;
+		const received =
+			offset && previous && previous.stroke
+				? previous.stroke.points.slice(0, offset)
+				: [];
+		merged = { ...style, points: received.concat(points) };
+	}
+	return { name, color, pointer, stroke: merged };
+}
@@ -0,0 +1,204 @@
+import { renderStroke, strokePoints } from './brushes';
+
+export {
+	forEachCurveSegment,
+	hasPressure,
+	midPointBtw,
+	pressureWidthFactor,
+	strokePoints,
+} from './brushes';
+
+/**
+ * @returns {Object[]} the three corners of an arrow head pointing from `from`
+ * to `to`, with its tip at `to`.
+ */
+export function arrowHeadPoints(from, to, lineWidth) {
+	const length = lineWidth * 3 + 8;
+	const angle = Math.atan2(to.y - from.y, to.x - from.x);
+	const spread = Math.PI / 7;
+	return [
+		{
+			x: to.x - length * Math.cos(angle - spread),
+			y: to.y - length * Math.sin(angle - spread),
+		},
+		{ x: to.x, y: to.y },
+		{
+			x: to.x - length * Math.cos(angle + spread),
+			y: to.y - length * Math.sin(angle + spread),
+		},
+	];
+}
+
+/**
+ * @returns {Object[][]} the arrow heads of a polyline operation, see
+ * arrowHeadPoints.
+ */
+export function polylineArrowHeads({ points, arrowStart, arrowEnd, brushRadius }) {
+	const heads = [];
+	const last = points.length - 1;
+	if (arrowStart && last > 0) {
+		heads.push(arrowHeadPoints(points[1], points[0], brushRadius));
+	}
+	if (arrowEnd && last > 0) {
+		heads.push(arrowHeadPoints(points[last - 1], points[last], brushRadius));
+	}
+	return heads;
+}
+
+function tracePoints(ctx, points) {
+	ctx.moveTo(points[0].x, points[0].y);
+	for (let i = 1; i < points.length; i++) {
+		ctx.lineTo(points[i].x, points[i].y);
+	}
+}
+
+/**
+ * Draws straight lines, arrows, polylines and (closed) polygons. Filled
+ * polygons and arrow heads use fillShape; shapes use brushRadius as their
+ * line width.
+ */
+function drawPolyline(ctx, operation) {
+	const { points, closed, brushColor, brushRadius, fillShape } = operation;
+	ctx.lineJoin = 'round';
+	ctx.lineCap = 'round';
+	ctx.strokeStyle = brushColor;
+	ctx.fillStyle = brushColor;
+	ctx.lineWidth = brushRadius;
+
+	ctx.beginPath();
+	tracePoints(ctx, points);
+	if (closed) {
+		ctx.closePath();
+		if (fillShape) ctx.fill();
+	}
+	ctx.stroke();
+
+	polylineArrowHeads(operation).forEach((head) => {
+		ctx.beginPath();
+		tracePoints(ctx, head);
+		if (fillShape) {
+			ctx.closePath();
+			ctx.fill();
+		}
+		ctx.stroke();
+	});
+}
+
+// Distance between the baselines of a text's lines, relative to its font size
+export const TEXT_LINE_HEIGHT = 1.2;
+
+export function textFont({ fontWeight, fontSize, fontFamily }) {
+	return `${fontWeight} ${fontSize}px ${fontFamily}`;
+}
+
+/**
+ * Draws each line of the text below its anchor point (x, y), aligned to it
+ * by textAlign and turned around it by rotation.
+ */
+function drawText(ctx, operation) {
+	const { x, y, text, color, fontSize, textAlign, rotation } = operation;
+	ctx.translate(x, y);
+	if (rotation) ctx.rotate(rotation);
+	ctx.font = textFont(operation);
+	ctx.fillStyle = color;
+	ctx.textAlign = textAlign;
+	ctx.textBaseline = 'top';
+	text.split('\n').forEach((line, i) => {
+		ctx.fillText(line, 0, i * fontSize * TEXT_LINE_HEIGHT);
+	});
+}
+
+function drawRectangle(
+	ctx,
+	{ x, y, width, height, rotation, brushColor, brushRadius, fillShape }
+) {
+	if (rotation) {
+		// Turn around the rectangle's center
+		const cx = x + width / 2;
+		const cy = y + height / 2;
+		ctx.translate(cx, cy);
+		ctx.rotate(rotation);
+		ctx.translate(-cx, -cy);
+	}
+	ctx.beginPath();
+	if (fillShape) {
+		ctx.fillStyle = brushColor;
+		ctx.fillRect(x, y, width, height);
+	} else {
+		ctx.strokeStyle = brushColor;
+		ctx.lineWidth = brushRadius;
+		ctx.strokeRect(x, y, width, height);
+	}
+}
+
+function drawEllipse(
+	ctx,
+	{ x, y, radiusX, radiusY, rotation = 0, brushColor, brushRadius, fillShape }
+) {
+	ctx.beginPath();
+	ctx.strokeStyle = brushColor;
+	ctx.lineWidth = brushRadius;
+	ctx.ellipse(x, y, radiusX, radiusY, rotation, 0, Math.PI * 2);
+	if (fillShape) {
+		ctx.fillStyle = brushColor;
+		ctx.fill();
+	}
+	ctx.stroke();
+}
+
+function fillSpans(ctx, spans) {
+	spans.forEach(([y, x0, x1]) => ctx.fillRect(x0, y, x1 - x0 + 1, 1));
+}
+
+function drawFill(ctx, { color, alpha = 1, spans, edgeSpans = [] }) {
+	ctx.fillStyle = color;
+	ctx.globalAlpha = alpha;
+	fillSpans(ctx, spans);
+	// The edge is only visible through partially transparent pixels, e.g.
+	// the anti-aliased border of the stroke that stopped the fill.
+	ctx.globalCompositeOperation = 'destination-over';
+	fillSpans(ctx, edgeSpans);
+}
+
+/**
+ * Draws a single operation of the drawing's operation list onto the context,
+ * using the context's current transform.
+ */
+export function renderOperation(ctx, operation) {
+	ctx.save();
+	try {
+		switch (operation.type) {
+			case 'line':
+				renderStroke(ctx, operation);
+				break;
+			case 'erase':
+				// Remove the pixels underneath instead of painting over them
+				ctx.globalCompositeOperation = 'destination-out';
+				strokePoints(ctx, { ...operation, brushColor: '#000000' });
+				break;
+			case 'rectangle':
+				drawRectangle(ctx, operation);
+				break;
+			case 'ellipse':
+				drawEllipse(ctx, operation);
+				break;
+			case 'polyline':
+				drawPolyline(ctx, operation);
+				break;
+			case 'text':
+				drawText(ctx, operation);
+				break;
+			case 'fill':
+				drawFill(ctx, operation);
+				break;
+			default:
+				throw new Error(`Unknown operation type "${operation.type}"`);
+		}
+	} finally {
+		ctx.restore();
+	}
+}
+
+export function renderOperations(ctx, operations) {
+	operations.forEach((operation) => renderOperation(ctx, operation));
+}
@@ -0,0 +1,223 @@
+import { defaultLayers } from './layers';
+
+/**
+ * The version of the document format written by getSaveData. Bump this and
+ * add a migration step to migrateSaveData whenever the format changes.
+ *
+ * Version history:
+ * - 1 (implicit, no version field): `{ lines, width, height }`
+ * - 2: `{ version, width, height, operations }`
+ * - 3: rectangles and ellipses may have a `rotation` (in radians, around
+ *   their center); `polyline` operations for straight lines, arrows,
+ *   polylines and polygons; `text` operations; line points may have the
+ *   pen's `pressure` (0-1), `tiltX` and `tiltY` (in degrees); lines may
+ *   have a `brush` (`{ type, ...options }`, a marker if missing) and an
+ *   `opacity` (0-1); `layers` (bottom to top, see layers.js) with the
+ *   `layer` id on every operation. Documents without layers have one;
+ *   operations may have an `id`, `author` and `lamport` timestamp (see
+ *   collaboration.js), and the `time` they were finished at; line and
+ *   erase points may have the time `t` since their stroke started (see
+ *   playback.js).
+ */
+export const SAVE_DATA_VERSION = 3;
+
+const OPERATION_TYPES = [
+	'line',
+	'erase',
+	'rectangle',
+	'ellipse',
+	'polyline',
+	'text',
+	'fill',
+];
+
+/**
+ * @param {Object} parameters
+ * @param {Object[]} parameters.operations the drawing's operations, in order.
+ * @param {Object[]} parameters.layers the drawing's layers, bottom to top.
+ * @param {number} parameters.width the width of the document.
+ * @param {number} parameters.height the height of the document.
+ * @returns {Object} a document object in the current save format.
+ */
+export function createSaveData({ operations, layers, width, height }) {
+	return {
+		version: SAVE_DATA_VERSION,
+		width,
+		height,
+		layers,
+		operations,
+	};
+}
+
+function migrateLegacyLines({ lines, width, height }) {
+	if (!lines || typeof lines.push !== 'function') {
+		throw new Error('saveData.lines needs to be an array!');
+	}
+
+	return {
+		version: 2,
+		width,
+		height,
+		operations: lines.map(({ points, brushColor, brushRadius }) => ({
+			type: 'line',
+			tool: 'Pencil',
+			points,
+			brushColor,
+			brushRadius,
+		})),
+	};
+}
+
+/**
+ * Upgrades a document object of any known version to the current format.
+ */
+export function migrateSaveData(data) {
+	if (!data || typeof data !== 'object') {
+		throw new Error('saveData needs to be an object!');
+	}
+
+	let migrated = data;
+	if (migrated.version === undefined) {
+		migrated = migrateLegacyLines(migrated);
+	}
+
+	if (migrated.version === 2) {
+		// Version 3 only added optional fields
+		migrated = { ...migrated, version: 3 };
+	}
+
+	if (migrated.version > SAVE_DATA_VERSION) {
+		throw new Error(
+			`saveData version ${migrated.version} is newer than the supported version ${SAVE_DATA_VERSION}!`
+		);
+	}
+
+	return migrated;
+}
+
+/**
+ * Validates a document object, migrating older formats. The object itself is
+ * left unchanged.
+ * @param {Object} data a document object, e.g. the one returned by getDocument.
+ * @returns {Object} a document object in the current save format.
+ */
+export function validateSaveData(data) {
+	const migrated = migrateSaveData(data);
+
+	if (!migrated.operations || typeof migrated.operations.push !== 'function') {
+		throw new Error('saveData.operations needs to be an array!');
+	}
+	const { layers = defaultLayers() } = migrated;
+	if (typeof layers.push !== 'function' || !layers.length) {
+		throw new Error('saveData.layers needs to be a non-empty array!');
+	}
+	const layerIds = layers.map(({ id }) => id);
+	migrated.operations.forEach((operation) => {
+		if (!operation || OPERATION_TYPES.indexOf(operation.type) === -1) {
+			throw new Error(
+				`saveData contains an unknown operation type "${
+					operation && operation.type
+				}"!`
+			);
+		}
+		if (operation.layer !== undefined && layerIds.indexOf(operation.layer) === -1) {
+			throw new Error(
+				`saveData contains an operation on the unknown layer "${operation.layer}"!`
+			);
+		}
+	});
+	// Operations are scaled by the canvas size over these
+	['width', 'height'].forEach((dimension) => {
+		const size = migrated[dimension];
+		if (typeof size !== 'number' || !(size > 0) || !isFinite(size)) {
+			throw new Error(`saveData.${dimension} needs to be a positive number!`);
+		}
+	});
+
+	return { ...migrated, layers };
+}
+
+/**
+ * Parses and validates a stringified document, migrating older formats.
+ * @param {string} saveData the string returned by getSaveData.
+ * @returns {Object} a document object in the current save format.
+ */
+export function parseSaveData(saveData) {
+	if (typeof saveData !== 'string') {
+		throw new Error('saveData needs to be of type string!');
+	}
+
+	return validateSaveData(JSON.parse(saveData));
+}
+
+/**
+ * Resamples fill spans ([y, startX, endX]) to a different resolution.
+ */
+function scaleSpans(spans, scaleX, scaleY) {
+	const scaled = [];
+	spans.forEach(([y, x0, x1]) => {
+		const top = Math.round(y * scaleY);
+		const bottom = Math.round((y + 1) * scaleY);
+		const start = Math.round(x0 * scaleX);
+		const end = Math.round((x1 + 1) * scaleX) - 1;
+		if (end < start) return;
+
+		for (let row = top; row < bottom; row++) {
+			scaled.push([row, start, end]);
+		}
+	});
+	return scaled;
+}
+
+/**
+ * @returns {Object} a copy of the operation resized by the given factors,
+ * e.g. to fit a drawing saved at a different canvas size.
+ */
+export function scaleOperation(operation, scaleX, scaleY) {
+	const scaleAvg = (scaleX + scaleY) / 2;
+	const scaled = { ...operation };
+
+	if (operation.brushRadius !== undefined) {
+		scaled.brushRadius = operation.brushRadius * scaleAvg;
+	}
+
+	switch (operation.type) {
+		case 'line':
+		case 'erase':
+		case 'polyline':
+			scaled.points = operation.points.map((p) => ({
+				...p,
+				x: p.x * scaleX,
+				y: p.y * scaleY,
+			}));
+			break;
+		case 'rectangle':
+			scaled.x = operation.x * scaleX;
+			scaled.y = operation.y * scaleY;
+			scaled.width = operation.width * scaleX;
+			scaled.height = operation.height * scaleY;
+			break;
+		case 'ellipse':
+			scaled.x = operation.x * scaleX;
+			scaled.y = operation.y * scaleY;
+			scaled.radiusX = operation.radiusX * scaleX;
+			scaled.radiusY = operation.radiusY * scaleY;
+			break;
+		case 'text':
+			scaled.x = operation.x * scaleX;
+			scaled.y = operation.y * scaleY;
+			scaled.fontSize = operation.fontSize * scaleAvg;
+			scaled.width = operation.width * scaleAvg;
+			break;
+		case 'fill':
+			scaled.spans = scaleSpans(operation.spans, scaleX, scaleY);
+			if (operation.edgeSpans) {
+				scaled.edgeSpans = scaleSpans(operation.edgeSpans, scaleX, scaleY);
+			}
+			break;
+		default:
+			break;
+	}
+
+	return scaled;
+}
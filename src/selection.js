@@ -0,0 +1,482 @@
+import { IDENTITY } from './coordinateSystem';
+import {
+	TEXT_LINE_HEIGHT,
+	polylineArrowHeads,
+	pressureWidthFactor,
+} from './renderOperations';
+
+// The operation types that can be selected and transformed
+export const SELECTABLE_TYPES = [
+	'line',
+	'rectangle',
+	'ellipse',
+	'polyline',
+	'text',
+];
+
+// Number of points used to approximate an ellipse's outline
+const ELLIPSE_SEGMENTS = 32;
+
+export function isSelectable(operation) {
+	return SELECTABLE_TYPES.indexOf(operation.type) !== -1;
+}
+
+///// Matrices (same shape as CoordinateSystem's transformMatrix)
+
+/**
+ * @returns {Matrix} the transform that applies m2 first, then m1.
+ */
+export function multiplyMatrices(m1, m2) {
+	return {
+		a: m1.a * m2.a + m1.c * m2.b,
+		b: m1.b * m2.a + m1.d * m2.b,
+		c: m1.a * m2.c + m1.c * m2.d,
+		d: m1.b * m2.c + m1.d * m2.d,
+		e: m1.a * m2.e + m1.c * m2.f + m1.e,
+		f: m1.b * m2.e + m1.d * m2.f + m1.f,
+	};
+}
+
+export function transformPoint(m, { x, y }) {
+	return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+}
+
+function transformVector(m, { x, y }) {
+	return { x: m.a * x + m.c * y, y: m.b * x + m.d * y };
+}
+
+export function translation(dx, dy) {
+	return { ...IDENTITY, e: dx, f: dy };
+}
+
+function aroundPoint(m, { x, y }) {
+	return multiplyMatrices(
+		translation(x, y),
+		multiplyMatrices(m, translation(-x, -y))
+	);
+}
+
+export function scalingAbout(scaleX, scaleY, origin) {
+	return aroundPoint({ ...IDENTITY, a: scaleX, d: scaleY }, origin);
+}
+
+export function rotationAbout(angle, origin) {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return aroundPoint({ a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 }, origin);
+}
+
+export function isIdentity(m) {
+	return Object.keys(IDENTITY).every((key) => m[key] === IDENTITY[key]);
+}
+
+///// Geometry of operations
+
+function shapeFrame({ type, x, y, width, height, radiusX, radiusY, rotation = 0 }) {
+	if (type === 'rectangle') {
+		return {
+			center: { x: x + width / 2, y: y + height / 2 },
+			halfWidth: Math.abs(width) / 2,
+			halfHeight: Math.abs(height) / 2,
+			rotation,
+		};
+	}
+	return {
+		center: { x, y },
+		halfWidth: Math.abs(radiusX),
+		halfHeight: Math.abs(radiusY),
+		rotation,
+	};
+}
+
+// Where a text's anchor point lies along its width
+export const TEXT_ALIGN_OFFSETS = { left: 0, center: 0.5, right: 1 };
+
+/**
+ * @returns {Object} the box ({ left, top, width, height }) of a text
+ * operation, relative to its anchor point and before rotation.
+ */
+export function textBox({ text, fontSize, width, textAlign }) {
+	return {
+		left: -width * (TEXT_ALIGN_OFFSETS[textAlign] || 0),
+		top: 0,
+		width,
+		height: text.split('\n').length * fontSize * TEXT_LINE_HEIGHT,
+	};
+}
+
+function textFrame(operation) {
+	return { center: operation, rotation: operation.rotation || 0 };
+}
+
+/**
+ * @returns {Object} the point relative to the center of the shape, in the
+ * shape's unrotated coordinates.
+ */
+function toShapeSpace(frame, point) {
+	return transformPoint(
+		rotationAbout(-frame.rotation, { x: 0, y: 0 }),
+		{ x: point.x - frame.center.x, y: point.y - frame.center.y }
+	);
+}
+
+/**
+ * @returns {Object[]} the points of a selectable operation's path (a line's
+ * points, or points on a shape's outline), in document coordinates.
+ */
+export function getOutlinePoints(operation) {
+	if (operation.type === 'line') return operation.points;
+	if (operation.type === 'polyline') {
+		return operation.points.concat(...polylineArrowHeads(operation));
+	}
+
+	const frame = operation.type === 'text' ? textFrame(operation) : shapeFrame(operation);
+	const local = [];
+	if (operation.type === 'text') {
+		const { left, top, width, height } = textBox(operation);
+		local.push(
+			{ x: left, y: top },
+			{ x: left + width, y: top },
+			{ x: left + width, y: top + height },
+			{ x: left, y: top + height }
+		);
+	} else if (operation.type === 'rectangle') {
+		const { halfWidth: w, halfHeight: h } = frame;
+		local.push({ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h });
+	} else {
+		for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+			const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+			local.push({
+				x: Math.cos(angle) * frame.halfWidth,
+				y: Math.sin(angle) * frame.halfHeight,
+			});
+		}
+	}
+
+	const toDocument = multiplyMatrices(
+		translation(frame.center.x, frame.center.y),
+		rotationAbout(frame.rotation, { x: 0, y: 0 })
+	);
+	return local.map((point) => transformPoint(toDocument, point));
+}
+
+/**
+ * @returns {number} how far the painted pixels reach beyond the operation's
+ * path.
+ */
+function strokeExtent(operation) {
+	if (operation.type === 'line') {
+		// Pen pressure may widen the stroke at some of its points
+		return operation.points.reduce(
+			(extent, point) =>
+				Math.max(extent, operation.brushRadius * pressureWidthFactor(point)),
+			0
+		);
+	}
+	if (operation.type === 'text') return 0;
+	return operation.fillShape && operation.type === 'rectangle'
+		? 0
+		: operation.brushRadius / 2;
+}
+
+/**
+ * @returns {Object} the axis-aligned bounds ({ minX, minY, maxX, maxY }) of
+ * the given selectable operations, including their stroke width.
+ */
+export function getBounds(operations) {
+	const bounds = {
+		minX: Infinity,
+		minY: Infinity,
+		maxX: -Infinity,
+		maxY: -Infinity,
+	};
+	operations.forEach((operation) => {
+		const extent = strokeExtent(operation);
+		getOutlinePoints(operation).forEach(({ x, y }) => {
+			bounds.minX = Math.min(bounds.minX, x - extent);
+			bounds.minY = Math.min(bounds.minY, y - extent);
+			bounds.maxX = Math.max(bounds.maxX, x + extent);
+			bounds.maxY = Math.max(bounds.maxY, y + extent);
+		});
+	});
+	return bounds;
+}
+
+function distanceToSegment(p, a, b) {
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const lengthSquared = dx * dx + dy * dy;
+	let t = 0;
+	if (lengthSquared > 0) {
+		t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+		t = Math.max(0, Math.min(1, t));
+	}
+	return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * @returns {boolean} whether the point lies on the painted pixels of the
+ * operation, or at most `tolerance` away from them.
+ */
+export function hitTestOperation(operation, point, tolerance = 0) {
+	if (operation.type === 'line') {
+		const { points, brushRadius } = operation;
+		for (let i = 0; i < points.length; i++) {
+			const next = points[Math.min(i + 1, points.length - 1)];
+			if (distanceToSegment(point, points[i], next) <= brushRadius + tolerance) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	if (operation.type === 'text') {
+		const { left, top, width, height } = textBox(operation);
+		const { x, y } = toShapeSpace(textFrame(operation), point);
+		return (
+			x >= left - tolerance &&
+			x <= left + width + tolerance &&
+			y >= top - tolerance &&
+			y <= top + height + tolerance
+		);
+	}
+
+	const halfStroke = operation.brushRadius / 2 + tolerance;
+
+	if (operation.type === 'polyline') {
+		const { points, closed, fillShape } = operation;
+		if (closed && fillShape && pointInPolygon(point, points)) return true;
+
+		const paths = [closed ? points.concat([points[0]]) : points].concat(
+			polylineArrowHeads(operation)
+		);
+		return paths.some((path) =>
+			path.some(
+				(p, i) =>
+					i > 0 && distanceToSegment(point, path[i - 1], p) <= halfStroke
+			)
+		);
+	}
+
+	const frame = shapeFrame(operation);
+	const { x, y } = toShapeSpace(frame, point);
+
+	if (operation.type === 'rectangle') {
+		const w = frame.halfWidth;
+		const h = frame.halfHeight;
+		const inOuter = Math.abs(x) <= w + halfStroke && Math.abs(y) <= h + halfStroke;
+		if (operation.fillShape) {
+			return Math.abs(x) <= w + tolerance && Math.abs(y) <= h + tolerance;
+		}
+		const inInner = Math.abs(x) < w - halfStroke && Math.abs(y) < h - halfStroke;
+		return inOuter && !inInner;
+	}
+
+	// Ellipse: measure along the normalized radius
+	const rx = Math.max(frame.halfWidth, 1e-6);
+	const ry = Math.max(frame.halfHeight, 1e-6);
+	const distance = Math.hypot(x / rx, y / ry);
+	const scale = Math.min(rx, ry);
+	if (operation.fillShape && distance <= 1) return true;
+	return Math.abs(distance - 1) * scale <= halfStroke;
+}
+
+/**
+ * @returns {Object | undefined} the top-most selectable operation at the
+ * given point.
+ */
+export function operationAtPoint(operations, point, tolerance) {
+	for (let i = operations.length - 1; i >= 0; i--) {
+		const operation = operations[i];
+		if (isSelectable(operation) && hitTestOperation(operation, point, tolerance)) {
+			return operation;
+		}
+	}
+	return undefined;
+}
+
+export function pointInPolygon({ x, y }, polygon) {
+	let inside = false;
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		const a = polygon[i];
+		const b = polygon[j];
+		if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+/**
+ * @returns {Object[]} the selectable operations whose path lies entirely
+ * within the polygon (e.g. a lasso, or the corners of a marquee).
+ */
+export function operationsInPolygon(operations, polygon) {
+	if (polygon.length < 3) return [];
+	return operations.filter(
+		(operation) =>
+			isSelectable(operation) &&
+			getOutlinePoints(operation).every((point) => pointInPolygon(point, polygon))
+	);
+}
+
+// Rectangles and ellipses look the same when turned by half a turn
+function normalizeRotation(rotation) {
+	let normalized = rotation % Math.PI;
+	if (normalized > Math.PI / 2) normalized -= Math.PI;
+	if (normalized <= -Math.PI / 2) normalized += Math.PI;
+	return Math.abs(normalized) < 1e-9 ? 0 : normalized;
+}
+
+/**
+ * @returns {Object} a copy of the selectable operation with its geometry
+ * transformed by the matrix. Shapes stay shapes, so skewing is approximated
+ * by scaling along the shape's own axes. Stroke widths are kept.
+ */
+export function transformOperation(operation, m) {
+	if (operation.type === 'line' || operation.type === 'polyline') {
+		const transformed = {
+			...operation,
+			points: operation.points.map((point) => ({
+				...point,
+				...transformPoint(m, point),
+			})),
+		};
+		const { brush } = operation;
+		if (brush && brush.angle !== undefined) {
+			// A calligraphy nib turns with the stroke
+			const nib = transformVector(m, {
+				x: Math.cos(brush.angle),
+				y: Math.sin(brush.angle),
+			});
+			transformed.brush = { ...brush, angle: Math.atan2(nib.y, nib.x) };
+		}
+		return transformed;
+	}
+
+	if (operation.type === 'text') {
+		// Text keeps its proportions, so it's scaled by the average factor
+		const rotation = operation.rotation || 0;
+		const anchor = transformPoint(m, operation);
+		const direction = transformVector(m, {
+			x: Math.cos(rotation),
+			y: Math.sin(rotation),
+		});
+		const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+		const transformed = {
+			...operation,
+			x: anchor.x,
+			y: anchor.y,
+			fontSize: operation.fontSize * scale,
+			width: operation.width * scale,
+		};
+		delete transformed.rotation;
+		const newRotation = Math.atan2(direction.y, direction.x);
+		if (Math.abs(newRotation) > 1e-9) transformed.rotation = newRotation;
+		return transformed;
+	}
+
+	const frame = shapeFrame(operation);
+	const center = transformPoint(m, frame.center);
+	const xAxis = transformVector(m, {
+		x: Math.cos(frame.rotation) * frame.halfWidth,
+		y: Math.sin(frame.rotation) * frame.halfWidth,
+	});
+	const yAxis = transformVector(m, {
+		x: -Math.sin(frame.rotation) * frame.halfHeight,
+		y: Math.cos(frame.rotation) * frame.halfHeight,
+	});
+	const halfWidth = Math.hypot(xAxis.x, xAxis.y);
+	const halfHeight = Math.hypot(yAxis.x, yAxis.y);
+	const rotation = normalizeRotation(
+		halfWidth ? Math.atan2(xAxis.y, xAxis.x) : frame.rotation
+	);
+
+	const transformed = { ...operation };
+	delete transformed.rotation;
+	if (rotation) transformed.rotation = rotation;
+
+	if (operation.type === 'rectangle') {
+		transformed.x = center.x - halfWidth;
+		transformed.y = center.y - halfHeight;
+		transformed.width = halfWidth * 2;
+		transformed.height = halfHeight * 2;
+	} else {
+		transformed.x = center.x;
+		transformed.y = center.y;
+		transformed.radiusX = halfWidth;
+		transformed.radiusY = halfHeight;
+	}
+	return transformed;
+}
+
+///// Selection handles
+
+/**
+ * @returns {Object[]} the handles ({ name, x, y }) of a selection with the
+ * given bounds: the eight resize handles, named by compass direction, and a
+ * "rotate" handle `rotateOffset` above the top edge.
+ */
+export function getHandles({ minX, minY, maxX, maxY }, rotateOffset) {
+	const cx = (minX + maxX) / 2;
+	const cy = (minY + maxY) / 2;
+	return [
+		{ name: 'nw', x: minX, y: minY },
+		{ name: 'n', x: cx, y: minY },
+		{ name: 'ne', x: maxX, y: minY },
+		{ name: 'e', x: maxX, y: cy },
+		{ name: 'se', x: maxX, y: maxY },
+		{ name: 's', x: cx, y: maxY },
+		{ name: 'sw', x: minX, y: maxY },
+		{ name: 'w', x: minX, y: cy },
+		{ name: 'rotate', x: cx, y: minY - rotateOffset },
+	];
+}
+
+function scaleFactor(handlePos, anchorPos, delta) {
+	const size = handlePos - anchorPos;
+	return size === 0 ? 1 : (size + delta) / size;
+}
+
+/**
+ * @param {string} action "move", "rotate" or the name of a resize handle.
+ * @param {Object} bounds the bounds of the selection when the drag started.
+ * @param {Object} start the point where the drag started.
+ * @param {Object} point the current point of the drag.
+ * @returns {Matrix} the transform for dragging the selection (or one of its
+ * handles) from start to point.
+ */
+export function getDragTransform(action, bounds, start, point) {
+	const { minX, minY, maxX, maxY } = bounds;
+	const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+
+	if (action === 'move') {
+		return translation(point.x - start.x, point.y - start.y);
+	}
+	if (action === 'rotate') {
+		const angle =
+			Math.atan2(point.y - center.y, point.x - center.x) -
+			Math.atan2(start.y - center.y, start.x - center.x);
+		return rotationAbout(angle, center);
+	}
+
+	// Resize relative to the opposite edge or corner
+	let scaleX = 1;
+	let scaleY = 1;
+	const anchor = { ...center };
+	if (action.indexOf('w') !== -1) {
+		anchor.x = maxX;
+		scaleX = scaleFactor(minX, maxX, point.x - start.x);
+	} else if (action.indexOf('e') !== -1) {
+		anchor.x = minX;
+		scaleX = scaleFactor(maxX, minX, point.x - start.x);
+	}
+	if (action.indexOf('n') !== -1) {
+		anchor.y = maxY;
+		scaleY = scaleFactor(minY, maxY, point.y - start.y);
+	} else if (action.indexOf('s') !== -1) {
+		anchor.y = minY;
+		scaleY = scaleFactor(maxY, minY, point.y - start.y);
+	}
+	return scalingAbout(scaleX, scaleY, anchor);
+}
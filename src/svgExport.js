@@ -0,0 +1,438 @@
+import {
+	HIGHLIGHTER_ALPHA,
+	nibPolygons,
+	sprayDots,
+	stampPlacements,
+} from './brushes';
+import {
+	TEXT_LINE_HEIGHT,
+	forEachCurveSegment,
+	hasPressure,
+	midPointBtw,
+	polylineArrowHeads,
+	pressureWidthFactor,
+} from './renderOperations';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Keep the document small; sub-pixel precision beyond this is invisible.
+const num = (n) => Math.round(n * 100) / 100;
+
+export function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+function attributes(attrs) {
+	return Object.keys(attrs)
+		.filter((name) => attrs[name] !== undefined && attrs[name] !== null)
+		.map((name) => `${name}="${escapeXml(attrs[name])}"`)
+		.join(' ');
+}
+
+function element(name, attrs) {
+	return `<${name} ${attributes(attrs)}/>`;
+}
+
+/**
+ * Builds the path data of the same quadratic-midpoint curve that
+ * strokePoints draws on a canvas.
+ */
+export function pointsToPathData(points) {
+	let p1 = points[0];
+	let p2 = points[1];
+	const commands = [`M${num(p1.x)} ${num(p1.y)}`];
+
+	for (let i = 1, len = points.length; i < len; i++) {
+		const midPoint = midPointBtw(p1, p2);
+		commands.push(
+			`Q${num(p1.x)} ${num(p1.y)} ${num(midPoint.x)} ${num(midPoint.y)}`
+		);
+		p1 = points[i];
+		p2 = points[i + 1];
+	}
+	commands.push(`L${num(p1.x)} ${num(p1.y)}`);
+
+	return commands.join('');
+}
+
+// SVG rotations are in degrees, around the given center
+function rotate(rotation, cx, cy) {
+	if (!rotation) return undefined;
+	return `rotate(${num((rotation * 180) / Math.PI)} ${num(cx)} ${num(cy)})`;
+}
+
+function straightPathData(points, closed) {
+	const commands = points.map(
+		({ x, y }, i) => `${i === 0 ? 'M' : 'L'}${num(x)} ${num(y)}`
+	);
+	if (closed) commands.push('Z');
+	return commands.join('');
+}
+
+function polylineElements(operation) {
+	const { points, closed, brushColor, brushRadius, fillShape } = operation;
+	const style = {
+		stroke: brushColor,
+		'stroke-width': num(brushRadius),
+		'stroke-linecap': 'round',
+		'stroke-linejoin': 'round',
+	};
+	return [
+		element('path', {
+			d: straightPathData(points, closed),
+			fill: closed && fillShape ? brushColor : 'none',
+			...style,
+		}),
+		...polylineArrowHeads(operation).map((head) =>
+			element('path', {
+				d: straightPathData(head, fillShape),
+				fill: fillShape ? brushColor : 'none',
+				...style,
+			})
+		),
+	].join('');
+}
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+function textElements({
+	x,
+	y,
+	text,
+	color,
+	fontFamily,
+	fontSize,
+	fontWeight,
+	textAlign,
+	rotation,
+}) {
+	return text
+		.split('\n')
+		.map(
+			(line, i) =>
+				`<text ${attributes({
+					x: num(x),
+					y: num(y + i * fontSize * TEXT_LINE_HEIGHT),
+					fill: color,
+					'font-family': fontFamily,
+					'font-size': num(fontSize),
+					'font-weight': fontWeight,
+					'text-anchor': TEXT_ANCHORS[textAlign],
+					'dominant-baseline': 'text-before-edge',
+					'xml:space': 'preserve',
+					transform: rotate(rotation, x, y),
+				})}>${escapeXml(line)}</text>`
+		)
+		.join('');
+}
+
+function spansToPathData(spans) {
+	return spans
+		.map(([y, x0, x1]) => `M${x0} ${y}h${x1 - x0 + 1}v1h${x0 - x1 - 1}z`)
+		.join('');
+}
+
+function fillElement({ color, alpha }, spans) {
+	return element('path', {
+		d: spansToPathData(spans),
+		fill: color,
+		'fill-opacity': alpha === undefined || alpha === 1 ? undefined : alpha,
+		'shape-rendering': 'crispEdges',
+	});
+}
+
+function strokeElement({ points, brushRadius }, color) {
+	if (hasPressure(points)) {
+		// One path per piece of the curve, each with the width the pen's
+		// pressure gave it
+		const pieces = [];
+		forEachCurveSegment(points, (start, control, end, point) => {
+			pieces.push(
+				element('path', {
+					d: `M${num(start.x)} ${num(start.y)}Q${num(control.x)} ${num(
+						control.y
+					)} ${num(end.x)} ${num(end.y)}`,
+					'stroke-width': num(brushRadius * 2 * pressureWidthFactor(point)),
+				})
+			);
+		});
+		return `<g ${attributes({
+			fill: 'none',
+			stroke: color,
+			'stroke-linecap': 'round',
+			'stroke-linejoin': 'round',
+		})}>${pieces.join('')}</g>`;
+	}
+
+	return element('path', {
+		d: pointsToPathData(points),
+		fill: 'none',
+		stroke: color,
+		'stroke-width': num(brushRadius * 2),
+		'stroke-linecap': 'round',
+		'stroke-linejoin': 'round',
+	});
+}
+
+/**
+ * The stamps are a mask of the stamp images (by their alpha channel) over
+ * the brush color.
+ */
+function stampElements(operation, id) {
+	const { brushColor, brush } = operation;
+	const placements = stampPlacements(operation);
+	const minX = Math.min(...placements.map(({ x }) => x));
+	const minY = Math.min(...placements.map(({ y }) => y));
+	const maxX = Math.max(...placements.map(({ x, size }) => x + size));
+	const maxY = Math.max(...placements.map(({ y, size }) => y + size));
+	const area = {
+		x: num(minX),
+		y: num(minY),
+		width: num(maxX - minX),
+		height: num(maxY - minY),
+	};
+	return [
+		`<mask ${attributes({
+			id,
+			'mask-type': 'alpha',
+			maskUnits: 'userSpaceOnUse',
+			...area,
+		})}>`,
+		...placements.map(({ x, y, size }) =>
+			element('image', {
+				href: brush.image,
+				x: num(x),
+				y: num(y),
+				width: num(size),
+				height: num(size),
+				preserveAspectRatio: 'none',
+			})
+		),
+		'</mask>',
+		element('rect', { ...area, fill: brushColor, mask: `url(#${id})` }),
+	].join('');
+}
+
+/**
+ * @returns {string} the SVG markup of a stroke drawn with one of the
+ * built-in brushes. Other brushes are exported like the marker.
+ */
+function lineElements(operation, id) {
+	const { points, brushColor, brushRadius, brush = {} } = operation;
+	switch (brush.type) {
+		case 'highlighter':
+			return element('path', {
+				d: pointsToPathData(points),
+				fill: 'none',
+				stroke: brushColor,
+				'stroke-width': num(brushRadius * 2),
+				'stroke-linecap': 'round',
+				'stroke-linejoin': 'round',
+				'stroke-opacity': HIGHLIGHTER_ALPHA,
+				style: 'mix-blend-mode:multiply',
+			});
+		case 'airbrush':
+			return element('path', {
+				d: sprayDots(operation)
+					.map(
+						({ x, y, size }) =>
+							`M${num(x)} ${num(y)}h${num(size)}v${num(size)}h${num(-size)}z`
+					)
+					.join(''),
+				fill: brushColor,
+			});
+		case 'calligraphy':
+			return element('path', {
+				d: nibPolygons(operation)
+					.map((polygon) => straightPathData(polygon, true))
+					.join(''),
+				fill: brushColor,
+				stroke: brushColor,
+				'stroke-width': 1,
+			});
+		case 'stamp':
+			return brush.image ? stampElements(operation, id) : '';
+		default:
+			return strokeElement(operation, brushColor);
+	}
+}
+
+/**
+ * @returns {string} the SVG markup of a single operation of the drawing's
+ * operation list. Erase operations become the black strokes of a mask (see
+ * operationsToSVG).
+ * @param {Object} operation the operation.
+ * @param {number} index the operation's index, which makes the ids of the
+ * elements it needs unique.
+ */
+export function operationToSVG(operation, index = 0) {
+	switch (operation.type) {
+		case 'line': {
+			const elements = lineElements(operation, `stamp-${index}`);
+			// Group opacity composites the stroke as a whole, like on a canvas
+			return operation.opacity === undefined || operation.opacity === 1
+				? elements
+				: `<g opacity="${operation.opacity}">${elements}</g>`;
+		}
+		case 'erase':
+			return strokeElement(operation, '#000000');
+		case 'rectangle': {
+			const {
+				x,
+				y,
+				width,
+				height,
+				rotation,
+				brushColor,
+				brushRadius,
+				fillShape,
+			} = operation;
+			return element('rect', {
+				x: num(Math.min(x, x + width)),
+				y: num(Math.min(y, y + height)),
+				width: num(Math.abs(width)),
+				height: num(Math.abs(height)),
+				fill: fillShape ? brushColor : 'none',
+				stroke: fillShape ? undefined : brushColor,
+				'stroke-width': fillShape ? undefined : num(brushRadius),
+				transform: rotate(rotation, x + width / 2, y + height / 2),
+			});
+		}
+		case 'ellipse': {
+			const {
+				x,
+				y,
+				radiusX,
+				radiusY,
+				rotation,
+				brushColor,
+				brushRadius,
+				fillShape,
+			} = operation;
+			return element('ellipse', {
+				cx: num(x),
+				cy: num(y),
+				rx: num(radiusX),
+				ry: num(radiusY),
+				fill: fillShape ? brushColor : 'none',
+				stroke: brushColor,
+				'stroke-width': num(brushRadius),
+				transform: rotate(rotation, x, y),
+			});
+		}
+		case 'polyline':
+			return polylineElements(operation);
+		case 'text':
+			return textElements(operation);
+		case 'fill':
+			return fillElement(operation, operation.spans);
+		default:
+			throw new Error(`Unknown operation type "${operation.type}"`);
+	}
+}
+
+/**
+ * @returns {string[]} the SVG markup of the operations, in order. Eraser
+ * strokes hide everything drawn before them, so that is wrapped in a group
+ * masked by them; their masks are added to `masks`.
+ */
+function operationElements(entries, masks, width, height) {
+	let body = [];
+	let i = 0;
+	while (i < entries.length) {
+		const { operation, index } = entries[i];
+		if (operation.type !== 'erase') {
+			body.push(operationToSVG(operation, index));
+			// A fill's edge is drawn behind everything drawn before it
+			if (operation.type === 'fill' && operation.edgeSpans && operation.edgeSpans.length) {
+				body.unshift(fillElement(operation, operation.edgeSpans));
+			}
+			i++;
+			continue;
+		}
+
+		// Erasing hides everything drawn before it, so wrap what we have so far
+		// in a group masked by the (consecutive) eraser strokes.
+		const id = `erase-${masks.length}`;
+		const strokes = [];
+		while (i < entries.length && entries[i].operation.type === 'erase') {
+			strokes.push(operationToSVG(entries[i].operation, entries[i].index));
+			i++;
+		}
+		masks.push(
+			[
+				`<mask ${attributes({
+					id,
+					maskUnits: 'userSpaceOnUse',
+					x: 0,
+					y: 0,
+					width,
+					height,
+				})}>`,
+				element('rect', { x: 0, y: 0, width, height, fill: '#FFFFFF' }),
+				...strokes,
+				'</mask>',
+			].join('\n')
+		);
+		body = [`<g mask="url(#${id})">`, ...body, '</g>'];
+	}
+	return body;
+}
+
+/**
+ * Converts the drawing's operations into a standalone SVG document.
+ * @param {Object} parameters
+ * @param {Object[]} parameters.operations the operations to export, in order.
+ * @param {Object[]} parameters.layers the layers of the drawing, bottom to
+ * top. Each visible layer becomes a group with the layer's opacity and blend
+ * mode; operations without a layer are on the bottom one. Without layers,
+ * all operations are exported as they are.
+ * @param {number} parameters.width the width of the document.
+ * @param {number} parameters.height the height of the document.
+ * @returns {string} the SVG markup.
+ */
+export default function operationsToSVG({ operations, layers, width, height }) {
+	const header = `<svg ${attributes({
+		xmlns: SVG_NAMESPACE,
+		version: '1.1',
+		width,
+		height,
+		viewBox: `0 0 ${width} ${height}`,
+	})}>`;
+
+	const masks = [];
+	const entries = operations.map((operation, index) => ({ operation, index }));
+	let body;
+	if (!layers) {
+		body = operationElements(entries, masks, width, height);
+	} else {
+		body = [];
+		layers.forEach((layer, i) => {
+			if (!layer.visible) return;
+			const onLayer = entries.filter(
+				({ operation }) =>
+					operation.layer === layer.id || (i === 0 && operation.layer === undefined)
+			);
+			body.push(
+				`<g ${attributes({
+					id: layer.id,
+					opacity: layer.opacity === 1 ? undefined : layer.opacity,
+					style:
+						layer.blendMode === 'normal'
+							? undefined
+							: `mix-blend-mode:${layer.blendMode}`,
+				})}>`,
+				...operationElements(onLayer, masks, width, height),
+				'</g>'
+			);
+		});
+	}
+
+	const defs = masks.length ? ['<defs>', ...masks, '</defs>'] : [];
+	return [header, ...defs, ...body, '</svg>'].join('\n');
+}
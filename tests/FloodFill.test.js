@@ -0,0 +1,62 @@
+import expect from "expect";
+import FloodFill from "../src/FloodFill";
+import { maskToSpans, outlineMask } from "../src/FloodFillUtils";
+
+// A 5x3 transparent image with a vertical wall at x = 2. The wall's middle
+// pixel is only faintly opaque, like an anti-aliased stroke edge.
+function createImageData() {
+  const width = 5;
+  const height = 3;
+  const data = new Uint8ClampedArray(width * height * 4);
+  [[2, 0, 255], [2, 1, 20], [2, 2, 255]].forEach(([x, y, alpha]) => {
+    data[(y * width + x) * 4 + 3] = alpha;
+  });
+  return { width, height, data };
+}
+
+describe("FloodFill", () => {
+  it("stops at pixels outside the tolerance", () => {
+    const floodFill = new FloodFill(createImageData());
+    floodFill.fill("#ff0000", 0, 0, 0);
+
+    expect(maskToSpans(floodFill.mask, 5, 3)).toEqual([[0, 0, 1], [1, 0, 1], [2, 0, 1]]);
+  });
+
+  it("fills through pixels within the tolerance", () => {
+    const floodFill = new FloodFill(createImageData());
+    floodFill.fill("#ff0000", 0, 0, 32);
+
+    expect(maskToSpans(floodFill.mask, 5, 3)).toEqual([
+      [0, 0, 1], [0, 3, 4], [1, 0, 4], [2, 0, 1], [2, 3, 4],
+    ]);
+  });
+
+  it("outlines the filled area", () => {
+    const mask = new Uint8Array([0, 0, 0, 0, 1, 0, 0, 0, 0]);
+
+    expect(Array.from(outlineMask(mask, 3, 3))).toEqual([1, 1, 1, 1, 0, 1, 1, 1, 1]);
+  });
+
+  it("doesn't leak through small gaps when gap closing is enabled", () => {
+    // A square outline from (1, 1) to (7, 7) with a one pixel gap at (7, 4)
+    const width = 9;
+    const height = 9;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 1; i <= 7; i++) {
+      [[i, 1], [i, 7], [1, i], [7, i]].forEach(([x, y]) => {
+        if (x !== 7 || y !== 4) data[(y * width + x) * 4 + 3] = 255;
+      });
+    }
+
+    const leaking = new FloodFill({ width, height, data: data.slice() });
+    leaking.fill("#ff0000", 4, 4, 0);
+    expect(leaking.mask[0]).toBe(1);
+
+    const closed = new FloodFill({ width, height, data: data.slice() });
+    closed.fill("#ff0000", 4, 4, 0, 2);
+    expect(closed.mask[0]).toBe(0);
+    expect(closed.mask[4 * width + 7]).toBe(0);
+    expect(closed.mask[2 * width + 2]).toBe(1);
+    expect(closed.mask[6 * width + 6]).toBe(1);
+  });
+});
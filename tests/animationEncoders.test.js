@@ -0,0 +1,136 @@
+import expect from "expect";
+import { inflateSync } from "zlib";
+import {
+  APNGEncoder,
+  GIFEncoder,
+  changedRegion,
+  deflate,
+  lzwEncode,
+} from "../src/animationEncoders";
+
+// Decodes GIF's LZW code stream again
+function lzwDecode(bytes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  let bitOffset = 0;
+  let codeSize;
+  let table;
+  let previous;
+  const output = [];
+  const reset = () => {
+    codeSize = minCodeSize + 1;
+    table = [];
+    for (let i = 0; i < clearCode + 2; i++) table.push([i]);
+    previous = null;
+  };
+  reset();
+  for (;;) {
+    let code = 0;
+    for (let bit = 0; bit < codeSize; bit++, bitOffset++) {
+      code |= ((bytes[bitOffset >> 3] >> (bitOffset & 7)) & 1) << bit;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === clearCode + 1) return output;
+    const entry = code < table.length ? table[code] : previous.concat(previous[0]);
+    output.push(...entry);
+    if (previous) table.push(previous.concat(entry[0]));
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    previous = entry;
+  }
+}
+
+function pngChunks(bytes) {
+  const chunks = [];
+  const view = new DataView(bytes.buffer);
+  for (let offset = 8; offset < bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.slice(offset + 4, offset + 8));
+    chunks.push({ type, data: bytes.slice(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+function frame(width, height, color, painted = () => false) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(painted(x, y) ? color : [255, 255, 255, 255], (y * width + x) * 4);
+    }
+  }
+  return data;
+}
+
+describe("animationEncoders", () => {
+  it("compresses data that zlib can inflate", () => {
+    const repetitive = new Uint8Array(100000).map((value, i) => (i % 300) & 0xff);
+    let seed = 1;
+    const random = new Uint8Array(5000).map(() => (seed = (seed * 16807) % 2147483647) & 0xff);
+
+    [repetitive, random, new Uint8Array(0)].forEach((bytes) => {
+      expect(Array.from(inflateSync(Buffer.from(deflate(bytes))))).toEqual(Array.from(bytes));
+    });
+    expect(deflate(repetitive).length).toBeLessThan(2000);
+  });
+
+  it("encodes palette indices with LZW, past a full code table", () => {
+    let seed = 7;
+    const indices = new Uint8Array(20000).map(() => (seed = (seed * 16807) % 2147483647) & 15);
+
+    expect(lzwDecode(lzwEncode(indices, 4), 4)).toEqual(Array.from(indices));
+    expect(lzwDecode(lzwEncode([0, 0, 0, 1], 2), 2)).toEqual([0, 0, 0, 1]);
+  });
+
+  it("finds the region that changed between two frames", () => {
+    const blank = frame(10, 10);
+    const dot = frame(10, 10, [255, 0, 0, 255], (x, y) => x >= 2 && x <= 4 && y === 7);
+
+    expect(changedRegion(blank, dot, 10, 10)).toEqual({ x: 2, y: 7, width: 3, height: 1 });
+    expect(changedRegion(dot, dot, 10, 10)).toBe(null);
+  });
+
+  it("writes a looping GIF with a frame per change", () => {
+    const encoder = new GIFEncoder({ width: 8, height: 8 });
+    encoder.addFrame(frame(8, 8), 100);
+    encoder.addFrame(frame(8, 8, [0, 0, 255, 255], (x) => x < 2), 100);
+    encoder.addFrame(frame(8, 8, [0, 0, 255, 255], (x) => x < 2), 100);
+    const gif = encoder.finish();
+
+    expect(String.fromCharCode(...gif.slice(0, 6))).toBe("GIF89a");
+    expect(gif[gif.length - 1]).toBe(0x3b);
+    // Graphic control blocks with the delays in hundredths of a second
+    const delays = [];
+    for (let i = 0; i < gif.length - 3; i++) {
+      if (gif[i] === 0x21 && gif[i + 1] === 0xf9 && gif[i + 2] === 0x04) {
+        delays.push(gif[i + 4]);
+      }
+    }
+    expect(delays).toEqual([10, 20]);
+  });
+
+  it("writes an APNG whose frames replace the changed regions", () => {
+    const encoder = new APNGEncoder({ width: 4, height: 3 });
+    const first = frame(4, 3);
+    const second = frame(4, 3, [0, 128, 0, 128], (x, y) => x === 1 && y === 2);
+    encoder.addFrame(first, 40);
+    encoder.addFrame(second, 40);
+    const chunks = pngChunks(encoder.finish());
+
+    expect(chunks.map(({ type }) => type)).toEqual([
+      "IHDR",
+      "acTL",
+      "fcTL",
+      "IDAT",
+      "fcTL",
+      "fdAT",
+      "IEND",
+    ]);
+    const control = new DataView(chunks[4].data.buffer);
+    // The size and offset of the second frame
+    expect([4, 8, 12, 16].map((offset) => control.getUint32(offset))).toEqual([1, 1, 1, 2]);
+    const rows = inflateSync(Buffer.from(chunks[5].data.slice(4)));
+    expect(Array.from(rows)).toEqual([0, 0, 128, 0, 128]);
+  });
+});
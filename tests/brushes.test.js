@@ -0,0 +1,59 @@
+import expect from "expect";
+import {
+  brushForStroke,
+  forEachSpacedPoint,
+  nibPolygons,
+  splitAlpha,
+  sprayDots,
+} from "../src/brushes";
+
+describe("brushes", () => {
+  it("places points evenly along a stroke and interpolates pressure", () => {
+    const placed = [];
+    forEachSpacedPoint(
+      [{ x: 0, y: 0, pressure: 0 }, { x: 3, y: 0, pressure: 0.3 }, { x: 3, y: 0, pressure: 0.3 }, { x: 10, y: 0, pressure: 1 }],
+      4,
+      (point) => placed.push(point)
+    );
+
+    expect(placed.map(({ x }) => x)).toEqual([0, 4, 8]);
+    expect(Math.round(placed[1].pressure * 10)).toBe(4);
+  });
+
+  it("sprays the same dots every time a stroke is drawn", () => {
+    const stroke = {
+      points: [{ x: 10, y: 10 }, { x: 30, y: 10 }],
+      brushRadius: 6,
+      brush: brushForStroke("airbrush", { x: 10, y: 10 }),
+    };
+    const dots = sprayDots(stroke);
+
+    expect(dots.length).toBeGreaterThan(0);
+    expect(sprayDots(stroke)).toEqual(dots);
+    dots.forEach(({ x, y, size }) => {
+      expect(Math.hypot(x + size / 2 - 20, y + size / 2 - 10)).toBeLessThanOrEqualTo(16);
+    });
+  });
+
+  it("sweeps a flat nib along calligraphy strokes", () => {
+    const brush = brushForStroke("calligraphy", { x: 0, y: 0 });
+    expect(brush.angle).toBe(Math.PI / 4);
+
+    const [forth, back] = nibPolygons({
+      points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 0 }],
+      brushRadius: 2,
+      brush: { type: "calligraphy", angle: Math.PI / 2 },
+    });
+    const round = (polygon) => polygon.map(({ x, y }) => [Math.round(x), Math.round(y)]);
+
+    // Both quadrilaterals wind the same way, so that they fill as one shape
+    expect(round(forth)).toEqual([[0, -2], [0, 2], [10, 2], [10, -2]].reverse());
+    expect(round(back)).toEqual(round(forth));
+  });
+
+  it("splits the alpha off colors to composite translucent strokes at once", () => {
+    expect(splitAlpha("rgba(10, 20, 30, 0.6)")).toEqual({ color: "rgb(10,20,30)", alpha: 153 / 255 });
+    expect(splitAlpha("#444")).toEqual({ color: "rgb(68,68,68)", alpha: 1 });
+    expect(splitAlpha("red")).toEqual({ color: "red", alpha: 1 });
+  });
+});
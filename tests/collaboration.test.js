@@ -0,0 +1,61 @@
+import expect from "expect";
+import { LocalTransport, OperationLog } from "../src/collaboration";
+
+describe("collaboration", () => {
+  const addedBy = (log, operation) => {
+    const stamped = log.stamp(operation);
+    return { stamped, entries: log.localEntries({ added: [stamped], removed: [] }) };
+  };
+
+  it("merges concurrent changes into the same drawing in any order", () => {
+    const alice = new OperationLog({ author: "alice" });
+    const bob = new OperationLog({ author: "bob" });
+    const a = addedBy(alice, { type: "line", points: [] });
+    const b = addedBy(bob, { type: "rectangle" });
+    const moved = { ...a.stamped, x: 10 };
+    const move = alice.localEntries({ added: [moved], removed: [a.stamped] });
+    const remove = bob.localEntries({ added: [], removed: [b.stamped] });
+    const entries = [...a.entries, ...b.entries, ...move, ...remove];
+
+    const inOrder = [];
+    const reader = new OperationLog({ author: "carol" });
+    entries.forEach((entry) => reader.merge(inOrder, entry));
+    const reversed = [];
+    const otherReader = new OperationLog({ author: "dave" });
+    entries.slice().reverse().forEach((entry) => otherReader.merge(reversed, entry));
+
+    expect(inOrder).toEqual([moved]);
+    expect(reversed).toEqual(inOrder);
+  });
+
+  it("orders operations by their timestamps and ignores stale changes", () => {
+    const alice = new OperationLog({ author: "alice" });
+    const bob = new OperationLog({ author: "bob" });
+    const a = addedBy(alice, { type: "line" });
+    const b = addedBy(bob, { type: "line" });
+    const operations = [a.stamped];
+
+    alice.merge(operations, b.entries[0]);
+    // Delivered twice
+    expect(alice.merge(operations, b.entries[0])).toBe(null);
+    expect(operations.map(({ author }) => author)).toEqual(["alice", "bob"]);
+    // Later changes of this author come after everything it saw
+    expect(alice.stamp({ type: "line" }).lamport).toBeGreaterThan(b.stamped.lamport);
+  });
+
+  it("delivers entries to the other transports of a channel", (done) => {
+    const sender = new LocalTransport("test", { broadcast: false });
+    const receiver = new LocalTransport("test", { broadcast: false });
+    const received = [];
+    sender.subscribe((entry) => received.push(["sender", entry]));
+    receiver.subscribe((entry) => {
+      expect(entry).toEqual({ type: "remove", id: "a-1", author: "a", lamport: 2 });
+      expect(received).toEqual([]);
+      sender.close();
+      receiver.close();
+      done();
+    });
+
+    sender.send({ type: "remove", id: "a-1", author: "a", lamport: 2 });
+  });
+});
@@ -35,4 +35,20 @@ describe("CoordinateSystem", () => {
       expect(Math.abs(expectedY - actual.y)).toBeLessThan(0.00001);
     });
   });
+
+  describe("#pixelRatio", () => {
+    it("scales the canvas matrix but keeps the view in client space", () => {
+      subject.canvas = {
+        width: 20,
+        height: 20,
+        getBoundingClientRect: () => ({ left: 0, top: 0, right: 10, bottom: 10 }),
+      };
+      subject.pixelRatio = 2;
+      subject.setView({ scale: 2, x: -3, y: -4 });
+
+      expect(subject.canvasMatrix).toEqual({ a: 4, b: 0, c: 0, d: 4, e: -6, f: -8 });
+      expect(subject.clientPointToViewPoint({ clientX: 5, clientY: 6 })).toInclude({ x: 4, y: 5 });
+      expect(subject.canvasBounds).toInclude({ canvasWidth: 10, canvasHeight: 10 });
+    });
+  });
 });
\ No newline at end of file
@@ -6,6 +6,20 @@ import CanvasDraw from "src/";
 
 describe("DrawCanvas", () => {
   let node;
+  let canvasDraw;
+  const renderCanvas = (props) => {
+    render(
+      <CanvasDraw
+        ref={(instance) => (canvasDraw = instance)}
+        scale={1}
+        lazyRadius={0}
+        {...props}
+      />,
+      node
+    );
+    // The ResizeObserver doesn't size canvases outside of the page
+    canvasDraw.handleCanvasResize([{ contentRect: { width: 400, height: 400 } }]);
+  };
 
   beforeEach(() => {
     node = document.createElement("div");
@@ -28,4 +42,353 @@ describe("DrawCanvas", () => {
       expect(node.innerHTML).toContain(`height: 500px`);
     });
   });
+
+  describe("events", () => {
+    const pointer = (type, clientX, clientY) => ({
+      type,
+      pointerType: "mouse",
+      pointerId: 1,
+      isPrimary: true,
+      clientX,
+      clientY,
+      buttons: type === "pointerdown" || type === "pointermove" ? 1 : 0,
+      preventDefault: () => {},
+    });
+    const drag = (...points) => {
+      const [first, ...rest] = points;
+      // The mouse hovers over the first point before it's pressed
+      canvasDraw.handlePointerMove({ ...pointer("pointermove", ...first), buttons: 0 });
+      canvasDraw.handlePointerDown(pointer("pointerdown", ...first));
+      rest.forEach((point) => canvasDraw.handlePointerMove(pointer("pointermove", ...point)));
+      canvasDraw.handlePointerUp(pointer("pointerup", ...points[points.length - 1]));
+    };
+
+    it("reports the start and the end of each stroke once", () => {
+      const onStrokeStart = expect.createSpy();
+      const onStrokeEnd = expect.createSpy();
+      const onErase = expect.createSpy();
+      renderCanvas({ tool: "Pencil", onStrokeStart, onStrokeEnd, onErase });
+
+      drag([10, 10], [20, 20], [30, 20]);
+
+      expect(onStrokeStart.calls.length).toBe(1);
+      const { tool, layer, point } = onStrokeStart.calls[0].arguments[0];
+      expect([tool, layer]).toEqual(["Pencil", canvasDraw.getActiveLayer().id]);
+      expect([Math.round(point.x), Math.round(point.y)]).toEqual([10, 10]);
+      expect(onStrokeEnd.calls.length).toBe(1);
+      expect(onStrokeEnd).toHaveBeenCalledWith({ operation: canvasDraw.operations[0] });
+      expect(canvasDraw.operations[0].type).toBe("line");
+      expect(onErase).toNotHaveBeenCalled();
+
+      drag([50, 50], [60, 60]);
+      expect(onStrokeStart.calls.length).toBe(2);
+      expect(onStrokeEnd.calls.length).toBe(2);
+      expect(onStrokeEnd.calls[1].arguments[0].operation).toBe(canvasDraw.operations[1]);
+    });
+
+    it("reports eraser strokes as erasures too", () => {
+      const onStrokeEnd = expect.createSpy();
+      const onErase = expect.createSpy();
+      renderCanvas({ tool: "Eraser", onStrokeEnd, onErase });
+
+      drag([10, 10], [20, 20]);
+
+      expect(canvasDraw.operations[0].type).toBe("erase");
+      expect(onStrokeEnd).toHaveBeenCalledWith({ operation: canvasDraw.operations[0] });
+      expect(onErase).toHaveBeenCalledWith({ operation: canvasDraw.operations[0] });
+    });
+
+    it("reports committed shapes, but not their previews", () => {
+      const onShapeCommit = expect.createSpy();
+      const onStrokeEnd = expect.createSpy();
+      renderCanvas({ tool: "Rectangle", onShapeCommit, onStrokeEnd });
+
+      canvasDraw.handlePointerMove({ ...pointer("pointermove", 10, 10), buttons: 0 });
+      canvasDraw.handlePointerDown(pointer("pointerdown", 10, 10));
+      canvasDraw.handlePointerMove(pointer("pointermove", 40, 30));
+      expect(onShapeCommit).toNotHaveBeenCalled();
+      canvasDraw.handlePointerUp(pointer("pointerup", 40, 30));
+
+      expect(onShapeCommit.calls.length).toBe(1);
+      const { operation } = onShapeCommit.calls[0].arguments[0];
+      expect(operation).toBe(canvasDraw.operations[0]);
+      expect(operation.type).toBe("rectangle");
+      expect(onStrokeEnd).toNotHaveBeenCalled();
+    });
+
+    it("reports undo, redo and clear with the operations they change", () => {
+      const onUndo = expect.createSpy();
+      const onRedo = expect.createSpy();
+      const onClear = expect.createSpy();
+      renderCanvas({ tool: "Pencil", onUndo, onRedo, onClear });
+      drag([10, 10], [20, 20]);
+      const [stroke] = canvasDraw.operations;
+
+      canvasDraw.undo();
+      expect(onUndo).toHaveBeenCalledWith({ type: "undo", added: [], removed: [stroke] });
+      canvasDraw.undo();
+      expect(onUndo.calls.length).toBe(1);
+
+      canvasDraw.redo();
+      expect(onRedo).toHaveBeenCalledWith({ type: "redo", added: [stroke], removed: [] });
+      canvasDraw.redo();
+      expect(onRedo.calls.length).toBe(1);
+
+      canvasDraw.eraseAll();
+      expect(onClear).toHaveBeenCalledWith({ removed: [stroke] });
+      canvasDraw.eraseAll();
+      expect(onClear.calls.length).toBe(1);
+      expect(onUndo.calls.length).toBe(1);
+    });
+
+    it("reports fills once they were added", () => {
+      const onFill = expect.createSpy();
+      renderCanvas({ tool: "FloodFill", onFill });
+
+      return canvasDraw.floodFill(5, 5, "#ff0000").then((operation) => {
+        expect(operation.type).toBe("fill");
+        expect(onFill).toHaveBeenCalledWith({ operation, x: 5, y: 5 });
+        expect(onFill.calls.length).toBe(1);
+      });
+    });
+
+    it("reports view changes", () => {
+      const onViewChange = expect.createSpy();
+      renderCanvas({ enablePanAndZoom: true, onViewChange });
+
+      const view = canvasDraw.coordSystem.setView({ scale: 2 });
+
+      expect(view.scale).toBe(2);
+      expect(onViewChange).toHaveBeenCalledWith(view);
+      canvasDraw.coordSystem.setView({ scale: 2 });
+      expect(onViewChange.calls.length).toBe(1);
+    });
+  });
+
+  describe("text", () => {
+    const addText = (point, text) => {
+      canvasDraw.openTextEditor(point);
+      canvasDraw.updateText(text);
+      canvasDraw.commitText();
+    };
+
+    it("replaces an edited text", () => {
+      renderCanvas({ tool: "Text" });
+      addText({ x: 20, y: 20 }, "Hello");
+      const [original] = canvasDraw.operations;
+
+      addText({ x: 25, y: 25 }, "Hello there");
+
+      expect(canvasDraw.operations.map(({ text }) => text)).toEqual(["Hello there"]);
+      canvasDraw.undo();
+      expect(canvasDraw.operations).toEqual([original]);
+    });
+
+    it("adds an edit of a text that was undone meanwhile as a new text", () => {
+      renderCanvas({ tool: "Text" });
+      addText({ x: 20, y: 20 }, "Hello");
+      const [original] = canvasDraw.operations;
+
+      canvasDraw.openTextEditor({ x: 25, y: 25 });
+      expect(canvasDraw.state.textEditor.original).toBe(original);
+      canvasDraw.undo();
+      expect(canvasDraw.operations).toEqual([]);
+      canvasDraw.updateText("Hello there");
+      canvasDraw.commitText();
+
+      const [operation] = canvasDraw.operations;
+      expect(canvasDraw.operations.length).toBe(1);
+      expect(operation.text).toBe("Hello there");
+      expect(operation.id).toNotBe(original.id);
+      canvasDraw.undo();
+      expect(canvasDraw.operations).toEqual([]);
+    });
+  });
+
+  describe("value", () => {
+    const layer = (id) => ({ id, name: id, visible: true, locked: false, opacity: 1, blendMode: "normal" });
+    const layers = [layer("bottom"), layer("top")];
+    const line = (x, onLayer) => ({
+      type: "line",
+      tool: "Pencil",
+      layer: onLayer,
+      points: [{ x, y: 10 }, { x: x + 10, y: 20 }],
+      brushColor: "#000000",
+      brushRadius: 2,
+    });
+    const document = (...operations) => ({ version: 3, width: 400, height: 400, layers, operations });
+    const setValue = (value) => {
+      render(<CanvasDraw ref={(instance) => (canvasDraw = instance)} scale={1} lazyRadius={0} value={value} />, node);
+    };
+    const summary = () => canvasDraw.operations.map(({ points, layer: onLayer }) => `${points[0].x} ${onLayer}`);
+    let redrawDrawing;
+
+    beforeEach(() => {
+      renderCanvas({ value: document(line(10, "bottom"), line(20, "top")) });
+      // The first value is loaded shortly after mounting
+      return new Promise((resolve) => setTimeout(resolve, 150)).then(() => {
+        redrawDrawing = expect.spyOn(canvasDraw, "redrawDrawing").andCallThrough();
+      });
+    });
+
+    afterEach(() => {
+      expect.restoreSpies();
+    });
+
+    it("draws appended operations without redrawing", () => {
+      setValue(document(line(10, "bottom"), line(20, "top"), line(30, "bottom")));
+
+      expect(summary()).toEqual(["10 bottom", "20 top", "30 bottom"]);
+      expect(redrawDrawing).toNotHaveBeenCalled();
+      canvasDraw.undo();
+      expect(summary()).toEqual(["10 bottom", "20 top"]);
+    });
+
+    it("only redraws the layer of replaced or removed operations", () => {
+      setValue(document(line(15, "bottom"), line(20, "top")));
+      expect(summary()).toEqual(["15 bottom", "20 top"]);
+      expect(redrawDrawing).toHaveBeenCalledWith(["bottom"]);
+
+      setValue(document(line(15, "bottom")));
+      expect(summary()).toEqual(["15 bottom"]);
+      expect(redrawDrawing.calls[1].arguments).toEqual([["top"]]);
+    });
+
+    it("redraws both layers of operations that moved to another layer", () => {
+      setValue(document(line(10, "top"), line(20, "top")));
+
+      expect(summary()).toEqual(["10 top", "20 top"]);
+      expect(redrawDrawing).toHaveBeenCalledWith(["bottom", "top"]);
+      canvasDraw.undo();
+      expect(summary()).toEqual(["10 bottom", "20 top"]);
+    });
+
+    it("doesn't record an unchanged value", () => {
+      setValue(JSON.parse(JSON.stringify(document(line(10, "bottom"), line(20, "top")))));
+
+      expect(canvasDraw.canUndo()).toBe(false);
+      expect(redrawDrawing).toNotHaveBeenCalled();
+    });
+  });
+
+  describe("#getDataURL", () => {
+    afterEach(() => {
+      expect.restoreSpies();
+    });
+
+    it("exports the drawing and the silhouette by default", () => {
+      renderCanvas();
+      const composeLayers = expect.spyOn(canvasDraw, "composeLayers").andCallThrough();
+
+      expect(canvasDraw.getDataURL()).toMatch(/^data:image\/png/);
+      expect(composeLayers.calls[0].arguments[0]).toEqual(["drawing", "silhouette"]);
+    });
+
+    it("stacks the chosen layers from the background up", () => {
+      renderCanvas();
+      const stack = [];
+      expect.spyOn(CanvasRenderingContext2D.prototype, "fillRect").andCall(function () {
+        stack.push(`background ${this.fillStyle}`);
+      });
+      expect.spyOn(CanvasRenderingContext2D.prototype, "drawImage").andCall((image) => {
+        if (image === canvasDraw.canvas.drawing) stack.push("drawing");
+        if (image === canvasDraw.canvas.silhouette) stack.push("silhouette");
+      });
+      expect.spyOn(canvasDraw, "strokeGrid").andCall(() => stack.push("grid"));
+
+      canvasDraw.getDataURL("png", {
+        layers: ["silhouette", "grid", "drawing", "background"],
+        backgroundColor: "#123456",
+      });
+
+      expect(stack).toEqual(["background #123456", "grid", "drawing", "silhouette"]);
+    });
+
+    it("throws for unknown layers and a missing background image", () => {
+      renderCanvas();
+
+      expect(() => canvasDraw.getDataURL("png", { layers: ["drawing", "sky"] })).toThrow(
+        /Unknown export layer "sky"/
+      );
+      expect(() => canvasDraw.getDataURL("png", { layers: ["image"] })).toThrow(/imgSrc/);
+      expect(() => canvasDraw.getDataURL("png", true)).toThrow(/imgSrc/);
+    });
+
+    it("maps the old arguments to layers", () => {
+      renderCanvas();
+      const composeLayers = expect
+        .spyOn(canvasDraw, "composeLayers")
+        .andReturn(document.createElement("canvas"));
+
+      canvasDraw.getDataURL("png", false);
+      canvasDraw.getDataURL("jpeg", false, "#123456");
+      canvasDraw.getDataURL("png", true, "#123456");
+
+      expect(composeLayers.calls.map(({ arguments: [layers] }) => layers)).toEqual([
+        ["drawing", "silhouette"],
+        ["background", "drawing", "silhouette"],
+        ["image", "drawing", "silhouette"],
+      ]);
+      expect(composeLayers.calls[1].arguments[1]).toBe("#123456");
+    });
+
+    it("exports one pixel per CSS pixel unless the device resolution is asked for", () => {
+      renderCanvas({ pixelRatio: 2 });
+      expect.spyOn(HTMLCanvasElement.prototype, "toDataURL").andCall(function () {
+        return `${this.width}x${this.height}`;
+      });
+
+      expect(canvasDraw.getDataURL()).toBe("400x400");
+      expect(canvasDraw.getDataURL("png", { resolution: "device" })).toBe("800x800");
+      expect(canvasDraw.getDataURL("png", false, null, "device")).toBe("800x800");
+      expect(() => canvasDraw.getDataURL("png", { resolution: "print" })).toThrow(
+        /Unknown export resolution "print"/
+      );
+    });
+  });
+
+  describe("#exportAnimation", () => {
+    const rejection = (promise) =>
+      promise.then(
+        () => {
+          throw new Error("Expected the promise to be rejected");
+        },
+        (error) => error
+      );
+
+    it("rejects unknown formats and resolutions", () => {
+      renderCanvas();
+
+      return Promise.all([
+        rejection(canvasDraw.exportAnimation({ format: "webm" })),
+        rejection(canvasDraw.exportAnimation({ resolution: "print" })),
+      ]).then(([format, resolution]) => {
+        expect(format.message).toMatch(/Unknown animation format "webm"/);
+        expect(resolution.message).toMatch(/Unknown export resolution "print"/);
+      });
+    });
+
+    it("rejects frame rates that aren't positive", () => {
+      renderCanvas();
+
+      return Promise.all(
+        [0, -5, NaN].map((fps) => rejection(canvasDraw.exportAnimation({ fps })))
+      ).then((errors) =>
+        errors.forEach((error) => expect(error.message).toMatch(/fps .* positive/))
+      );
+    });
+
+    it("rejects negative durations", () => {
+      renderCanvas();
+
+      return Promise.all(
+        [-1, NaN].map((duration) => rejection(canvasDraw.exportAnimation({ duration })))
+      )
+        .then((errors) =>
+          errors.forEach((error) => expect(error.message).toMatch(/duration .* 0 ms or more/))
+        )
+        .then(() => canvasDraw.exportAnimation({ duration: 0, size: { width: 20 } }))
+        .then((blob) => expect(blob.type).toBe("image/gif"));
+    });
+  });
 });
@@ -0,0 +1,65 @@
+import expect from "expect";
+import { PointerTracker } from "../src/interactionStateMachine";
+
+const pointer = (type, pointerType, pointerId, extra) => ({
+  type,
+  pointerType,
+  pointerId,
+  clientX: 10,
+  clientY: 20,
+  width: 10,
+  height: 10,
+  ...extra,
+});
+
+describe("PointerTracker", () => {
+  const canvasDraw = (inputMode) => ({ props: { inputMode } });
+
+  it("passes all fingers on the canvas along as touches", () => {
+    const tracker = new PointerTracker();
+    tracker.track(pointer("pointerdown", "touch", 1), canvasDraw("all"));
+    const input = tracker.track(pointer("pointerdown", "touch", 2, { clientX: 50 }), canvasDraw("all"));
+
+    expect(input.touches).toEqual([{ clientX: 10, clientY: 20 }, { clientX: 50, clientY: 20 }]);
+    expect(input.navigates).toBe(false);
+
+    const up = tracker.track(pointer("pointerup", "touch", 1), canvasDraw("all"));
+    expect(up.touches).toEqual([{ clientX: 50, clientY: 20 }]);
+  });
+
+  it("ignores palms until they are lifted in the pen-only mode", () => {
+    const tracker = new PointerTracker();
+    const palm = { width: 80, height: 60 };
+
+    expect(tracker.track(pointer("pointerdown", "touch", 1, palm), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointermove", "touch", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointerup", "touch", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointerdown", "touch", 1), canvasDraw("pen"))).toExist();
+    expect(tracker.track(pointer("pointerdown", "touch", 2, palm), canvasDraw("all"))).toExist();
+  });
+
+  it("ignores touches starting while the pen is in use in the pen-only mode", () => {
+    const tracker = new PointerTracker();
+    tracker.track(pointer("pointermove", "pen", 5), canvasDraw("pen"));
+
+    expect(tracker.track(pointer("pointerdown", "touch", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointerdown", "touch", 2), canvasDraw("all"))).toExist();
+  });
+
+  it("ignores the mouse in the pen-only mode", () => {
+    const tracker = new PointerTracker();
+
+    expect(tracker.track(pointer("pointerdown", "mouse", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointermove", "mouse", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointerup", "mouse", 1), canvasDraw("pen"))).toBe(null);
+    expect(tracker.track(pointer("pointerdown", "mouse", 1), canvasDraw("all"))).toExist();
+  });
+
+  it("lets fingers navigate and ignores the pen meanwhile in the pen-only mode", () => {
+    const tracker = new PointerTracker();
+    const input = tracker.track(pointer("pointerdown", "touch", 1), canvasDraw("pen"));
+
+    expect(input.navigates).toBe(true);
+    expect(tracker.track(pointer("pointerdown", "pen", 5), canvasDraw("pen"))).toBe(null);
+  });
+});
@@ -0,0 +1,32 @@
+import expect from "expect";
+import {
+  createKeyMap,
+  keyComboFromEvent,
+  stepBrushRadius,
+} from "../src/keyboardShortcuts";
+
+describe("keyboardShortcuts", () => {
+  it("names key combinations like the key map", () => {
+    expect(keyComboFromEvent({ key: "Z", ctrlKey: true, shiftKey: true })).toBe("mod+shift+z");
+    expect(keyComboFromEvent({ key: "z", metaKey: true })).toBe("mod+z");
+    expect(keyComboFromEvent({ key: " " })).toBe("space");
+    // The shift key is part of typing "+" already
+    expect(keyComboFromEvent({ key: "+", shiftKey: true })).toBe("+");
+  });
+
+  it("merges custom shortcuts over the default ones", () => {
+    const keyMap = createKeyMap({ P: { tool: "Pencil" }, "mod+y": null, "Mod+E": "resetView" });
+
+    expect(keyMap.p).toEqual({ tool: "Pencil" });
+    expect(keyMap["mod+e"]).toBe("resetView");
+    expect(keyMap["mod+y"]).toBe(undefined);
+    expect(keyMap["mod+z"]).toBe("undo");
+    expect(() => createKeyMap({ x: "explode" })).toThrow(/Unknown shortcut action/);
+  });
+
+  it("steps the brush radius without going below 1", () => {
+    expect(stepBrushRadius(10, 1)).toBe(12);
+    expect(stepBrushRadius(10, -1)).toBe(8);
+    expect(stepBrushRadius(1, -1)).toBe(1);
+  });
+});
@@ -0,0 +1,123 @@
+import expect from "expect";
+import OperationHistory, {
+  BatchCommand,
+  LayersCommand,
+  addOperation,
+  clearOperations,
+  diffOperations,
+  operationChanges,
+  removeOperations,
+} from "../src/operationHistory";
+
+describe("OperationHistory", () => {
+  let subject;
+
+  const add = (operation) =>
+    subject.execute(addOperation(subject.operations, operation));
+
+  beforeEach(() => {
+    subject = new OperationHistory();
+  });
+
+  it("undoes and redoes added operations in order", () => {
+    add({ type: "line", id: 1 });
+    add({ type: "fill", id: 2 });
+
+    subject.undo();
+    expect(subject.operations).toEqual([{ type: "line", id: 1 }]);
+    expect(subject.canRedo()).toBe(true);
+
+    subject.redo();
+    expect(subject.operations.map((op) => op.id)).toEqual([1, 2]);
+    expect(subject.canRedo()).toBe(false);
+  });
+
+  it("restores all operations when undoing a clear", () => {
+    add({ type: "line", id: 1 });
+    add({ type: "rectangle", id: 2 });
+    subject.execute(clearOperations(subject.operations));
+    expect(subject.operations.length).toBe(0);
+
+    subject.undo();
+    expect(subject.operations.map((op) => op.id)).toEqual([1, 2]);
+  });
+
+  it("discards redo steps when a new operation is executed", () => {
+    add({ type: "line", id: 1 });
+    subject.undo();
+    add({ type: "line", id: 2 });
+
+    expect(subject.canRedo()).toBe(false);
+    expect(subject.redo()).toBe(null);
+  });
+
+  it("keeps only maxDepth undo steps", () => {
+    subject.maxDepth = 2;
+    add({ type: "line", id: 1 });
+    add({ type: "line", id: 2 });
+    add({ type: "line", id: 3 });
+
+    subject.undo();
+    subject.undo();
+    expect(subject.canUndo()).toBe(false);
+    expect(subject.operations.map((op) => op.id)).toEqual([1]);
+  });
+
+  it("undoes layer changes together with the operations on the layer", () => {
+    const bottom = { id: "layer-1" };
+    const top = { id: "layer-2" };
+    subject = new OperationHistory({ layers: [bottom, top] });
+    add({ type: "line", layer: "layer-1" });
+    add({ type: "line", layer: "layer-2" });
+
+    subject.execute(
+      new BatchCommand({
+        type: "removeLayer",
+        commands: [
+          removeOperations(subject.operations, [subject.operations[1]]),
+          new LayersCommand({ type: "removeLayer", before: [bottom, top], after: [bottom] }),
+        ],
+      })
+    );
+    expect(subject.layers).toEqual([bottom]);
+    expect(subject.operations.length).toBe(1);
+
+    subject.undo();
+    expect(subject.layers).toEqual([bottom, top]);
+    expect(subject.operations.map(({ layer }) => layer)).toEqual(["layer-1", "layer-2"]);
+  });
+
+  it("lists the operations a command adds and removes", () => {
+    add({ id: 1 });
+    add({ id: 2 });
+    const command = removeOperations(subject.operations, subject.operations.slice());
+
+    expect(operationChanges(command).removed.map((op) => op.id)).toEqual([2, 1]);
+    expect(operationChanges(command).added).toEqual([]);
+  });
+});
+
+describe("diffOperations", () => {
+  it("only replaces the operations that differ", () => {
+    const operations = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    // Equal copies, e.g. after a JSON round trip, count as unchanged
+    const target = [{ id: 1 }, { id: 4 }, { id: 3 }, { id: 5 }];
+    const actual = diffOperations(operations, JSON.parse(JSON.stringify(target)));
+
+    expect(actual.index).toBe(1);
+    expect(actual.removed).toEqual([{ id: 2 }, { id: 3 }]);
+    expect(actual.inserted).toEqual([{ id: 4 }, { id: 3 }, { id: 5 }]);
+
+    actual.apply(operations);
+    expect(operations).toEqual(target);
+    expect(diffOperations(operations, target)).toBe(null);
+  });
+
+  it("keeps equal operations at both ends", () => {
+    const actual = diffOperations([{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 1 }, { id: 3 }]);
+
+    expect(actual.index).toBe(1);
+    expect(actual.removed).toEqual([{ id: 2 }]);
+    expect(actual.inserted).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import expect from "expect";
+import pixelOperations, { createPixelOperations, runPixelOperation } from "../src/pixelOperations";
+
+describe("pixelOperations", () => {
+  it("fills an area and outlines it as spans", () => {
+    // A 3x3 transparent image with an opaque right column
+    const data = new Uint8ClampedArray(3 * 3 * 4);
+    [2, 5, 8].forEach((pixel) => (data[pixel * 4 + 3] = 255));
+
+    const actual = pixelOperations.fillArea(
+      { width: 3, height: 3, data },
+      0,
+      0,
+      { r: 255, g: 0, b: 0, a: 255 },
+      0,
+      0
+    );
+
+    expect(actual.spans).toEqual([[0, 0, 1], [1, 0, 1], [2, 0, 1]]);
+    expect(actual.edgeSpans).toEqual([[0, 2, 2], [1, 2, 2], [2, 2, 2]]);
+  });
+
+  it("repeats every pixel when scaling", () => {
+    const data = new Uint8ClampedArray([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    const actual = pixelOperations.scaleImageData({ width: 2, height: 1, data }, 2);
+
+    expect(actual.width).toBe(4);
+    expect(actual.height).toBe(2);
+    expect(Array.from(actual.data.slice(0, 16))).toEqual([
+      1, 2, 3, 4, 1, 2, 3, 4, 5, 6, 7, 8, 5, 6, 7, 8,
+    ]);
+  });
+
+  it("finds the bounds of the opaque pixels", () => {
+    // A 4x3 transparent image with two translucent pixels
+    const data = new Uint8ClampedArray(4 * 3 * 4);
+    [5, 10].forEach((pixel) => (data[pixel * 4 + 3] = 1));
+
+    expect(pixelOperations.opaqueBounds({ width: 4, height: 3, data })).toEqual({
+      x: 1,
+      y: 1,
+      width: 2,
+      height: 2,
+    });
+    expect(pixelOperations.opaqueBounds({ width: 1, height: 1, data: new Uint8ClampedArray(4) })).toBe(null);
+  });
+
+  it("keeps coverage counters out of the worker's source", () => {
+    // The worker runs this text on its own, without the counters' globals
+    expect(createPixelOperations.toString()).toNotMatch(/\bcov_\w+/);
+  });
+
+  describe("#runPixelOperation", () => {
+    it("resolves with the result of the operation", () => {
+      const data = new Uint8ClampedArray(2 * 2 * 4);
+
+      return runPixelOperation("fillArea", [
+        { width: 2, height: 2, data },
+        0,
+        0,
+        { r: 0, g: 0, b: 255, a: 255 },
+        0,
+        0,
+      ]).then((actual) => {
+        expect(actual.spans).toEqual([[0, 0, 1], [1, 0, 1]]);
+      });
+    });
+
+    it("rejects unknown operations", () => {
+      return runPixelOperation("sparkle", []).then(
+        () => {
+          throw new Error("expected a rejection");
+        },
+        (error) => expect(error.message).toMatch(/Unknown pixel operation/)
+      );
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import expect from "expect";
+import {
+  MAX_PLAYBACK_PAUSE,
+  PlaybackController,
+  createTimeline,
+  timelineAt,
+} from "../src/playback";
+
+describe("playback", () => {
+  const stroke = (time, ...times) => ({
+    type: "line",
+    time,
+    points: times.map((t, x) => ({ x, y: 0, t })),
+  });
+
+  it("keeps the rhythm of the drawing and shortens long breaks", () => {
+    const timeline = createTimeline(
+      [stroke(1000, 0, 100), stroke(1300, 0, 100), stroke(60000, 0, 50)],
+      5
+    );
+
+    expect(timeline.entries.map(({ start, end }) => [start, end])).toEqual([
+      [5, 105],
+      [305, 405],
+      [405 + MAX_PLAYBACK_PAUSE, 455 + MAX_PLAYBACK_PAUSE],
+    ]);
+    const { count, partial } = timelineAt(timeline, 330);
+    expect(count).toBe(1);
+    expect(partial.points.length).toBe(1);
+  });
+
+  it("plays untimed operations at a fixed interval", () => {
+    const operations = [
+      { type: "line", points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }] },
+      { type: "rectangle", x: 0, y: 0, width: 10, height: 10 },
+    ];
+
+    const timeline = createTimeline(operations, 10);
+
+    expect(timeline.duration).toBe(40);
+    expect(timelineAt(timeline, 40).count).toBe(2);
+  });
+
+  it("plays, pauses, seeks and changes speed frame by frame", () => {
+    let frame = null;
+    const rendered = [];
+    const progress = [];
+    const playback = new PlaybackController({
+      timeline: createTimeline([stroke(0, 0, 100), stroke(200, 0, 100)], 5),
+      render: (count) => rendered.push(count),
+      onProgress: (event) => progress.push(event),
+      requestFrame: (callback) => (frame = callback),
+      cancelFrame: () => (frame = null),
+    });
+
+    playback.play();
+    frame(0);
+    frame(50);
+    expect(playback.time).toBe(50);
+    playback.setSpeed(2);
+    frame(100);
+    expect(playback.time).toBe(150);
+    expect(rendered).toEqual([0, 0, 1]);
+
+    playback.pause();
+    expect(frame).toBe(null);
+    expect(progress[progress.length - 1].playing).toBe(false);
+    playback.seek(0);
+    expect(rendered[rendered.length - 1]).toBe(0);
+
+    playback.seek(1000);
+    expect(playback.time).toBe(playback.duration);
+    expect(progress[progress.length - 1].progress).toBe(1);
+    expect(() => playback.setSpeed(0)).toThrow(/positive/);
+  });
+});
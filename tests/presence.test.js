@@ -0,0 +1,36 @@
+import expect from "expect";
+import { PresenceSender, mergePresence } from "../src/presence";
+
+describe("presence", () => {
+  it("sends the points of a stroke in batches and merges them again", () => {
+    const sent = [];
+    const sender = new PresenceSender({ send: (message) => sent.push(message), interval: 0 });
+    const points = [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+    const stroke = { type: "line", brushColor: "#000", points };
+
+    sender.update({ pointer: { x: 1, y: 0 }, stroke });
+    points.push({ x: 2, y: 0 });
+    sender.update({ pointer: { x: 2, y: 0 }, stroke });
+
+    expect(sent.map((message) => message.stroke.offset)).toEqual([0, 2]);
+    expect(sent[1].stroke.points).toEqual([{ x: 2, y: 0 }]);
+    const merged = sent.reduce(mergePresence, null);
+    expect(merged.stroke).toEqual(stroke);
+    expect(merged.pointer).toEqual({ x: 2, y: 0 });
+  });
+
+  it("merges updates within the interval into one message", (done) => {
+    const sent = [];
+    const sender = new PresenceSender({ send: (message) => sent.push(message), interval: 20 });
+
+    sender.update({ pointer: { x: 0, y: 0 }, stroke: null });
+    sender.update({ pointer: { x: 1, y: 0 }, stroke: null });
+    sender.update({ pointer: { x: 2, y: 0 }, stroke: null });
+    expect(sent.length).toBe(1);
+
+    setTimeout(() => {
+      expect(sent.map(({ pointer }) => pointer.x)).toEqual([0, 2]);
+      done();
+    }, 40);
+  });
+});
@@ -0,0 +1,97 @@
+import expect from "expect";
+import {
+  SAVE_DATA_VERSION,
+  createSaveData,
+  parseSaveData,
+  scaleOperation,
+  validateSaveData,
+} from "../src/saveData";
+
+describe("saveData", () => {
+  describe("#parseSaveData", () => {
+    it("round-trips every operation type in order", () => {
+      const operations = [
+        { type: "line", tool: "Pencil", points: [{ x: 1, y: 2 }, { x: 3, y: 4 }], brushColor: "#000", brushRadius: 2 },
+        { type: "rectangle", tool: "Rectangle", x: 1, y: 1, width: 5, height: 5, brushColor: "#f00", brushRadius: 3, fillShape: true },
+        { type: "fill", tool: "FloodFill", color: "#00f", spans: [[0, 1, 4]] },
+        { type: "erase", tool: "Eraser", points: [{ x: 0, y: 0 }, { x: 2, y: 2 }], brushRadius: 4 },
+      ];
+      const saved = JSON.stringify(createSaveData({ operations, width: 10, height: 20 }));
+
+      const actual = parseSaveData(saved);
+
+      expect(actual.version).toBe(SAVE_DATA_VERSION);
+      expect(actual.width).toBe(10);
+      expect(actual.height).toBe(20);
+      expect(actual.operations).toEqual(operations);
+    });
+
+    it("migrates the legacy lines format", () => {
+      const legacy = JSON.stringify({
+        lines: [{ points: [{ x: 1, y: 1 }], brushColor: "#444", brushRadius: 12 }],
+        width: 400,
+        height: 400,
+      });
+
+      const actual = parseSaveData(legacy);
+
+      expect(actual.version).toBe(SAVE_DATA_VERSION);
+      expect(actual.operations).toEqual([
+        { type: "line", tool: "Pencil", points: [{ x: 1, y: 1 }], brushColor: "#444", brushRadius: 12 },
+      ]);
+    });
+
+    it("rejects newer versions and unknown operations", () => {
+      expect(() => parseSaveData(JSON.stringify({ version: 999, operations: [] }))).toThrow(/version/);
+      expect(() =>
+        parseSaveData(JSON.stringify({ version: 2, operations: [{ type: "sparkle" }] }))
+      ).toThrow(/unknown operation/);
+    });
+  });
+
+  describe("#parseSaveData with layers", () => {
+    it("adds a layer to documents without layers", () => {
+      const actual = parseSaveData(JSON.stringify({ version: 3, width: 1, height: 1, operations: [] }));
+
+      expect(actual.layers.length).toBe(1);
+      expect(actual.layers[0]).toInclude({ visible: true, locked: false, opacity: 1, blendMode: "normal" });
+    });
+
+    it("rejects operations on unknown layers", () => {
+      const layers = [{ id: "layer-1", name: "Layer 1", visible: true, locked: false, opacity: 1, blendMode: "normal" }];
+      const operations = [{ type: "line", layer: "layer-7", points: [] }];
+
+      expect(() =>
+        parseSaveData(JSON.stringify(createSaveData({ operations, layers, width: 1, height: 1 })))
+      ).toThrow(/unknown layer "layer-7"/);
+    });
+  });
+
+  describe("#validateSaveData", () => {
+    it("validates document objects without changing them", () => {
+      const document = { version: 2, width: 1, height: 1, operations: [{ type: "line", points: [] }] };
+      const actual = validateSaveData(document);
+
+      expect(actual.version).toBe(SAVE_DATA_VERSION);
+      expect(actual.layers.length).toBe(1);
+      expect(document).toEqual({ version: 2, width: 1, height: 1, operations: [{ type: "line", points: [] }] });
+      expect(() => validateSaveData({ version: 3, operations: [], layers: [] })).toThrow(/layers/);
+    });
+
+    it("rejects documents without a size", () => {
+      const document = { version: 3, operations: [], width: 100 };
+
+      expect(() => validateSaveData(document)).toThrow(/height needs to be a positive number/);
+      expect(() => validateSaveData({ ...document, height: 0 })).toThrow(/height/);
+      expect(() => validateSaveData({ ...document, width: "100", height: 100 })).toThrow(/width/);
+    });
+  });
+
+  describe("#scaleOperation", () => {
+    it("resamples fill spans to the new size", () => {
+      const actual = scaleOperation({ type: "fill", color: "#000", spans: [[1, 2, 3]] }, 2, 2);
+
+      expect(actual.spans).toEqual([[2, 4, 7], [3, 4, 7]]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import expect from "expect";
+import {
+  getBounds,
+  getDragTransform,
+  hitTestOperation,
+  operationAtPoint,
+  operationsInPolygon,
+  rotationAbout,
+  transformOperation,
+} from "../src/selection";
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const line = {
+  type: "line",
+  tool: "Pencil",
+  points: [{ x: 10, y: 10 }, { x: 30, y: 10 }],
+  brushColor: "#000",
+  brushRadius: 2,
+};
+const rectangle = {
+  type: "rectangle",
+  tool: "Rectangle",
+  x: 50,
+  y: 50,
+  width: 20,
+  height: 10,
+  brushColor: "#f00",
+  brushRadius: 2,
+  fillShape: false,
+};
+
+describe("selection", () => {
+  it("hit-tests strokes and shape outlines", () => {
+    expect(hitTestOperation(line, { x: 20, y: 11 })).toBe(true);
+    expect(hitTestOperation(line, { x: 20, y: 15 })).toBe(false);
+    expect(hitTestOperation(rectangle, { x: 50, y: 55 })).toBe(true);
+    expect(hitTestOperation(rectangle, { x: 60, y: 55 })).toBe(false);
+    expect(hitTestOperation({ ...rectangle, fillShape: true }, { x: 60, y: 55 })).toBe(true);
+
+    const polygon = {
+      type: "polyline",
+      points: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 20 }],
+      closed: true,
+      brushColor: "#000",
+      brushRadius: 2,
+      fillShape: false,
+    };
+    // The closing edge from (0, 20) back to (0, 0)
+    expect(hitTestOperation(polygon, { x: 0, y: 10 })).toBe(true);
+    expect(hitTestOperation(polygon, { x: 5, y: 5 })).toBe(false);
+  });
+
+  it("hit-tests text by its aligned box", () => {
+    const text = { type: "text", x: 100, y: 10, text: "ab\ncd", fontSize: 10, textAlign: "right", width: 40 };
+
+    expect(getBounds([text])).toEqual({ minX: 60, minY: 10, maxX: 100, maxY: 34 });
+    expect(hitTestOperation(text, { x: 70, y: 30 })).toBe(true);
+    expect(hitTestOperation(text, { x: 110, y: 30 })).toBe(false);
+  });
+
+  it("picks the top-most operation and skips unselectable ones", () => {
+    const fill = { type: "fill", color: "#000", spans: [[10, 0, 40]] };
+    const covering = { ...line, brushRadius: 4 };
+
+    expect(operationAtPoint([line, covering, fill], { x: 20, y: 10 }, 0)).toBe(covering);
+  });
+
+  it("selects the operations inside a lasso", () => {
+    const lasso = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }, { x: 0, y: 40 }];
+
+    expect(operationsInPolygon([line, rectangle], lasso)).toEqual([line]);
+  });
+
+  it("resizes and rotates shapes around the selection", () => {
+    const bounds = getBounds([rectangle]);
+    expect(bounds).toEqual({ minX: 49, minY: 49, maxX: 71, maxY: 61 });
+
+    const scaled = transformOperation(
+      rectangle,
+      getDragTransform("e", bounds, { x: 71, y: 55 }, { x: 93, y: 55 })
+    );
+    expect(round(scaled.x)).toBe(51);
+    expect(round(scaled.width)).toBe(40);
+    expect(round(scaled.height)).toBe(10);
+
+    const rotated = transformOperation(rectangle, rotationAbout(Math.PI / 4, { x: 60, y: 55 }));
+    expect(round(rotated.rotation)).toBe(round(Math.PI / 4));
+    expect(round(rotated.x)).toBe(50);
+    expect(round(rotated.y)).toBe(50);
+  });
+});
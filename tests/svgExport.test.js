@@ -0,0 +1,122 @@
+import expect from "expect";
+import operationsToSVG, { pointsToPathData } from "../src/svgExport";
+
+describe("svgExport", () => {
+  it("converts strokes into the same quadratic-midpoint curves", () => {
+    const actual = pointsToPathData([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+
+    expect(actual).toBe("M0 0Q0 0 5 0Q10 0 10 5L10 10");
+  });
+
+  it("creates a document with the drawing's size and operations", () => {
+    const svg = operationsToSVG({
+      width: 400,
+      height: 300,
+      operations: [
+        { type: "line", points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], brushColor: "#db2727", brushRadius: 10 },
+        { type: "rectangle", x: 10, y: 10, width: -5, height: 5, brushColor: "#000", brushRadius: 2, fillShape: false },
+        { type: "fill", color: "rgba(0,0,255,0.5)", spans: [[3, 1, 4]] },
+      ],
+    });
+
+    expect(svg).toContain('viewBox="0 0 400 300"');
+    expect(svg).toContain('stroke="#db2727" stroke-width="20" stroke-linecap="round" stroke-linejoin="round"');
+    expect(svg).toContain('<rect x="5" y="10" width="5" height="5" fill="none" stroke="#000" stroke-width="2"/>');
+    expect(svg).toContain('d="M1 3h4v1h-4z" fill="rgba(0,0,255,0.5)"');
+  });
+
+  it("varies the width of strokes drawn with pen pressure", () => {
+    const svg = operationsToSVG({
+      width: 100,
+      height: 100,
+      operations: [
+        {
+          type: "line",
+          points: [{ x: 0, y: 0, pressure: 0.5, tiltX: 0, tiltY: 0 }, { x: 10, y: 0, pressure: 1, tiltX: 0, tiltY: 0 }],
+          brushColor: "#000",
+          brushRadius: 5,
+        },
+      ],
+    });
+
+    expect(svg).toContain('<g fill="none" stroke="#000" stroke-linecap="round" stroke-linejoin="round">');
+    expect(svg).toContain('<path d="M0 0Q0 0 5 0" stroke-width="10"/>');
+    expect(svg).toContain('<path d="M5 0Q7.5 0 10 0" stroke-width="15"/>');
+  });
+
+  it("groups translucent strokes to apply their opacity once", () => {
+    const svg = operationsToSVG({
+      width: 100,
+      height: 100,
+      operations: [
+        { type: "line", points: [{ x: 0, y: 0 }, { x: 10, y: 0 }], brushColor: "#000", brushRadius: 5, opacity: 0.4 },
+      ],
+    });
+
+    expect(svg).toContain('<g opacity="0.4"><path d="M0 0Q0 0 5 0L10 0"');
+  });
+
+  it("draws polygons and arrow heads", () => {
+    const svg = operationsToSVG({
+      width: 100,
+      height: 100,
+      operations: [
+        { type: "polyline", points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }], closed: true, brushColor: "#000", brushRadius: 2, fillShape: true },
+        { type: "polyline", points: [{ x: 0, y: 50 }, { x: 50, y: 50 }], closed: false, arrowEnd: true, brushColor: "#f00", brushRadius: 2, fillShape: false },
+      ],
+    });
+
+    expect(svg).toContain('<path d="M0 0L10 0L10 10Z" fill="#000" stroke="#000"');
+    expect(svg).toContain('<path d="M0 50L50 50" fill="none" stroke="#f00"');
+    // An open arrow head ending at the tip
+    expect(svg).toMatch(/<path d="M[\d.]+ [\d.]+L50 50L[\d.]+ [\d.]+" fill="none" stroke="#f00"/);
+  });
+
+  it("writes each line of a text and escapes it", () => {
+    const svg = operationsToSVG({
+      width: 100,
+      height: 100,
+      operations: [
+        { type: "text", x: 10, y: 20, text: "A & B\nC", color: "#000", fontFamily: "serif", fontSize: 10, fontWeight: "bold", textAlign: "center", width: 30 },
+      ],
+    });
+
+    expect(svg).toContain('<text x="10" y="20" fill="#000" font-family="serif" font-size="10" font-weight="bold" text-anchor="middle"');
+    expect(svg).toContain(">A &amp; B</text>");
+    expect(svg).toContain('y="32"');
+  });
+
+  it("groups the operations of each visible layer", () => {
+    const line = (layer) => ({ type: "line", layer, points: [{ x: 0, y: 0 }], brushColor: "#000", brushRadius: 1 });
+    const svg = operationsToSVG({
+      width: 10,
+      height: 10,
+      layers: [
+        { id: "layer-1", visible: true, opacity: 1, blendMode: "normal" },
+        { id: "layer-2", visible: false, opacity: 1, blendMode: "normal" },
+        { id: "layer-3", visible: true, opacity: 0.5, blendMode: "multiply" },
+      ],
+      operations: [line("layer-3"), line("layer-2"), line(undefined)],
+    });
+
+    expect(svg).toContain('<g id="layer-1">\n<path');
+    expect(svg).toContain('<g id="layer-3" opacity="0.5" style="mix-blend-mode:multiply">');
+    expect(svg).toNotContain("layer-2");
+    expect(svg.indexOf("layer-1")).toBeLessThan(svg.indexOf("layer-3"));
+  });
+
+  it("masks everything drawn before an eraser stroke", () => {
+    const svg = operationsToSVG({
+      width: 10,
+      height: 10,
+      operations: [
+        { type: "fill", color: "#fff", spans: [[0, 0, 9]] },
+        { type: "erase", points: [{ x: 0, y: 0 }, { x: 5, y: 0 }], brushRadius: 1 },
+        { type: "fill", color: "#000", spans: [[1, 0, 9]] },
+      ],
+    });
+
+    expect(svg).toContain('<mask id="erase-0"');
+    expect(svg).toMatch(/<g mask="url\(#erase-0\)">\n<path d="M0 0h10v1h-10z" fill="#fff"[^>]*\/>\n<\/g>\n<path d="M0 1/);
+  });
+});